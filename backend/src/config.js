@@ -0,0 +1,70 @@
+const os = require("os");
+const path = require("path");
+
+// Runtime configuration, read once from the environment.
+module.exports = {
+  // Storage adapter used by the API: "json" (default), "jsonl" or "memory". See storage/index.js.
+  storage: process.env.STORAGE || "json",
+
+  // Data file used by the JSON file adapter.
+  dataFile: process.env.DATA_FILE
+    ? path.resolve(process.env.DATA_FILE)
+    : path.join(__dirname, "../../data/items.json"),
+
+  // Append-only log used by the JSON Lines adapter, and when to compact it into a snapshot:
+  // after this many records, and on a timer (0 disables the timer).
+  jsonlFile: process.env.JSONL_FILE
+    ? path.resolve(process.env.JSONL_FILE)
+    : path.join(__dirname, "../../data/items.jsonl"),
+  jsonlCompactEvery: Number(process.env.JSONL_COMPACT_EVERY) || 1000,
+  jsonlCompactIntervalMs: process.env.JSONL_COMPACT_INTERVAL_MS
+    ? Number(process.env.JSONL_COMPACT_INTERVAL_MS)
+    : 10 * 60 * 1000,
+
+  // Typo tolerance of the full-text search: the most edits a query word may be away from
+  // an indexed word (0 disables fuzzy matching). See search/editDistance.js.
+  searchMaxEdits: process.env.SEARCH_MAX_EDITS ? Number(process.env.SEARCH_MAX_EDITS) : 2,
+
+  // Searches with fewer results than this also return "did you mean" suggestions.
+  searchSuggestBelow: process.env.SEARCH_SUGGEST_BELOW
+    ? Number(process.env.SEARCH_SUGGEST_BELOW)
+    : 3,
+
+  // Name completions returned by GET /api/items/suggest: by default, and at most.
+  suggestLimit: Number(process.env.SUGGEST_LIMIT) || 5,
+  suggestMaxLimit: Number(process.env.SUGGEST_MAX_LIMIT) || 20,
+
+  // Most ids a batch fetch (GET /api/items?ids=..., POST /api/items/batch-get) may ask for.
+  batchMaxIds: Number(process.env.BATCH_MAX_IDS) || 100,
+
+  // Most operations one POST /api/items/bulk request may contain.
+  bulkMaxOperations: Number(process.env.BULK_MAX_OPERATIONS) || 1000,
+
+  // Limits of a CSV import (POST /api/items/import): data rows, and body size.
+  importMaxRows: Number(process.env.IMPORT_MAX_ROWS) || 10000,
+  importBodyLimit: process.env.IMPORT_BODY_LIMIT || "5mb",
+
+  // Largest JSON request body the API accepts (a body-parser size, e.g. "1mb").
+  jsonBodyLimit: process.env.JSON_BODY_LIMIT || "1mb",
+
+  // Worker threads for CPU-heavy work (stats, search index rebuilds, CSV import checks):
+  // how many run at once (default: one per spare CPU core, 1 to 4), and how long a job
+  // may take before its worker is stopped and the request fails. See workers/pool.js.
+  workerPoolSize:
+    Number(process.env.WORKER_POOL_SIZE) || Math.min(4, Math.max(1, os.cpus().length - 1)),
+  workerTimeoutMs: Number(process.env.WORKER_TIMEOUT_MS) || 30 * 1000,
+
+  // Catalogues with at least this many items have their search index rebuilt in a worker
+  // thread; smaller ones are indexed in the request thread, which is quicker for them.
+  searchWorkerThreshold: process.env.SEARCH_WORKER_THRESHOLD
+    ? Number(process.env.SEARCH_WORKER_THRESHOLD)
+    : 5000,
+
+  // Most GET /api/stats results (one per combination of parameters) kept in memory
+  // until the data changes. See utils/statsCache.js.
+  statsCacheSize: Number(process.env.STATS_CACHE_SIZE) || 50,
+
+  // Price boundaries of the `facets=price` buckets: "50,100,500" gives 0-50, 50-100,
+  // 100-500 and 500+. Requests can override them with `priceBuckets`.
+  priceBuckets: (process.env.FACET_PRICE_BUCKETS || "50,100,500,1000").split(",").map(Number),
+};
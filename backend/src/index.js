@@ -4,14 +4,19 @@ const morgan = require('morgan');
 const itemsRouter = require('./routes/items');
 const statsRouter = require('./routes/stats');
 const cors = require('cors');
-const { getCookie, notFound } = require('./middleware/errorHandler');
+const requestId = require('./middleware/requestId');
+const { notFound, errorHandler } = require('./middleware/errorHandler');
+const { getStore } = require('./storage');
+const config = require('./config');
 
 const app = express();
 const port = process.env.PORT || 3001;
 
-app.use(cors({ origin: 'http://localhost:3000' }));
+app.use(cors({ origin: 'http://localhost:3000', exposedHeaders: ['X-Request-Id'] }));
 // Basic middleware
-app.use(express.json());
+app.use(requestId);
+// Bulk requests carry many items, so JSON bodies may be larger than body-parser's 100kb default.
+app.use(express.json({ limit: config.jsonBodyLimit }));
 app.use(morgan('dev'));
 
 // Routes
@@ -21,6 +26,14 @@ app.use('/api/stats', statsRouter);
 // Not Found
 app.use('*', notFound);
 
-// getCookie();
+// Centralized error handling (must be registered last)
+app.use(errorHandler);
 
-app.listen(port, () => console.log('Backend running on http://localhost:' + port));
\ No newline at end of file
+// Open the configured store (for the JSON file store: restore a corrupt data file
+// from its backup and start watching for outside edits), then start serving.
+getStore()
+  .open()
+  .catch((err) => console.error('Failed to open the data store:', err))
+  .then(() => {
+    app.listen(port, () => console.log('Backend running on http://localhost:' + port));
+  });
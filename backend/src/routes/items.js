@@ -1,19 +1,145 @@
 const express = require('express');
 const fs = require('fs');
 const path = require('path');
-const { readData } = require('../utils/readData');
-const { writeData } = require('../utils/writeData');
+const { Readable, pipeline } = require('stream');
+const { getStore } = require('../storage');
+const { AppError, ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const { validateItem } = require('../utils/itemSchema');
+const { parseSort, sortItems, formatSort } = require('../utils/sortItems');
+const { parseFilters, selectItems } = require('../utils/filterItems');
+const { cursorSortKeys, decodeCursor, paginateByCursor } = require('../utils/cursor');
+const { parseFacets, computeFacets } = require('../utils/facets');
+const { parseFields, projectItem } = require('../utils/fields');
+const { IMPORT_MODES } = require('../utils/itemImport');
+const { EXPORT_FORMATS, parseFormat, exportFileName } = require('../utils/exportItems');
+const { prepareSearchIndex, suggestQueries, completeNames } = require('../search');
+const { runTask } = require('../workers');
+const { highlightMatches } = require('../search/highlight');
+const config = require('../config');
 const router = express.Router();
 
+// --- Shared helpers ---
+
+// Splits an update body into its (optional) 'id' and the remaining fields.
+// A body id that disagrees with the ':id' in the URL is rejected; ids are immutable.
+function withoutId(body, rawId) {
+  const { id, ...rest } = body || {};
+  if (id !== undefined && String(id) !== String(rawId)) {
+    throw new ValidationError("Item id cannot be changed.", {
+      id: "Must be omitted or match the id in the URL.",
+    });
+  }
+  return rest;
+}
+
+// Validates a new item payload (POST, and creates in POST /bulk) against the item schema,
+// reporting every failing field at once. Ids are always assigned by the server; a
+// client-supplied one is an error, not a hint.
+function validateCreate(body) {
+  if (body && body.id !== undefined) {
+    throw new ValidationError("Item id must not be supplied when creating an item.", {
+      id: "Item id is assigned by the server.",
+    });
+  }
+  return validateItem(body);
+}
+
+// Validates an update payload for item `rawId`: a complete item with `replace` (PUT),
+// otherwise only the supplied fields (PATCH). Shared with updates in POST /bulk.
+function validateUpdate(body, rawId, { replace = false } = {}) {
+  const fields = withoutId(body, rawId);
+  if (replace) return validateItem(fields);
+
+  // An empty patch is almost certainly a client bug, so reject it rather than no-op.
+  if (Object.keys(fields).length === 0) {
+    throw new ValidationError("Request body must contain at least one field to update.");
+  }
+  return validateItem(fields, { partial: true });
+}
+
+// Parses an optional boolean query parameter ("true"/"false", or "1"/"0"); absent means false.
+function parseBoolean(raw, name) {
+  if (raw === undefined || raw === "false" || raw === "0") return false;
+  if (raw === "true" || raw === "1") return true;
+  throw new ValidationError(`Invalid ${name} parameter. Must be 'true' or 'false'.`, {
+    [name]: "Must be 'true' or 'false'.",
+  });
+}
+
+// Copies of `items`, each with the ranges where the search query `q` matched it
+// (search/highlight.js). Without a query there is nothing to highlight.
+function withHighlights(items, q) {
+  return items.map((item) => ({ ...item, highlights: q ? highlightMatches(item, q) : [] }));
+}
+
+// The response form of `items`: with their match ranges if 'highlight' was requested,
+// then narrowed to the selected 'fields' (utils/fields.js). Highlights are computed on
+// the whole item, so they work even when the matched fields are not selected.
+function present(items, { q, highlight, fields }) {
+  const shown = highlight ? withHighlights(items, q) : items;
+  if (!fields) return shown;
+  const keep = highlight ? [...fields, "highlights"] : fields;
+  return shown.map((item) => projectItem(item, keep));
+}
+
+// Validates the ids of a batch fetch, an array of strings and/or numbers.
+// Blank entries and repeats are dropped; at most config.batchMaxIds ids are allowed.
+function parseIds(list) {
+  const invalid = (reason) => new ValidationError("Invalid ids parameter.", { ids: reason });
+
+  if (!Array.isArray(list) || list.some((id) => typeof id !== "string" && typeof id !== "number")) {
+    throw invalid("Must be an array of ids.");
+  }
+
+  const ids = [];
+  const seen = new Set();
+  for (const id of list) {
+    const key = String(id).trim();
+    if (key === "" || seen.has(key)) continue;
+    seen.add(key);
+    ids.push(typeof id === "string" ? key : id);
+  }
+  if (ids.length === 0) throw invalid("Must list at least one id.");
+  if (ids.length > config.batchMaxIds) {
+    throw invalid(`Cannot ask for more than ${config.batchMaxIds} ids at once.`);
+  }
+  return ids;
+}
+
+// Fetches `ids` with a single store read. Found items come back in request order,
+// the ids without an item are listed (as requested) in 'missing'.
+async function batchGet(ids, fields) {
+  const found = await getStore().getMany(ids);
+  return {
+    items: present(found.filter(Boolean), { fields }),
+    missing: ids.filter((id, i) => !found[i]),
+  };
+}
+
 
 
 // GET /api/items
 
 router.get("/", async (req, res, next) => {
   try {
-    // Extract raw query parameters for page, limit, and search query.
+    // 'ids=1,4,5' fetches exactly those items instead of a page (see POST /batch-get).
+    // Only 'fields' applies to a batch; list parameters would be silently ignored, so they are rejected.
+    if (req.query.ids !== undefined) {
+      const others = Object.keys(req.query).filter((name) => name !== "ids" && name !== "fields");
+      if (others.length > 0) {
+        throw new ValidationError(`ids cannot be combined with: ${others.join(", ")}.`, {
+          ids: "Can only be combined with fields.",
+        });
+      }
+      // ?ids=1,4&ids=5 is the same as ?ids=1,4,5
+      const ids = parseIds([].concat(req.query.ids).join(",").split(","));
+      const fields = parseFields(req.query.fields);
+      return res.json(await batchGet(ids, fields));
+    }
+
+    // Extract raw query parameters for page, limit and sort.
     // We keep them raw initially to differentiate between undefined and invalid values.
-    const { page: rawPage, limit: rawLimit, q } = req.query;
+    const { page: rawPage, limit: rawLimit, sort: rawSort, order: rawOrder } = req.query;
 
     let pageNum, limitNum;
 
@@ -23,11 +149,11 @@ router.get("/", async (req, res, next) => {
     if (rawPage !== undefined) {
       pageNum = parseInt(rawPage, 10);
       if (isNaN(pageNum) || pageNum < 1) {
-        const err = new Error(
-          "Invalid page or limit parameters. Must be positive numbers."
+        // Fail fast before any expensive operations
+        throw new ValidationError(
+          "Invalid page or limit parameters. Must be positive numbers.",
+          { page: "Must be a positive number." }
         );
-        err.status = 400; // Set HTTP status code for bad request
-        throw err; // Fail fast before any expensive operations
       }
     } else {
       pageNum = 1; // Default to the first page if 'page' isn't provided
@@ -37,27 +163,93 @@ router.get("/", async (req, res, next) => {
     if (rawLimit !== undefined) {
       limitNum = parseInt(rawLimit, 10);
       if (isNaN(limitNum) || limitNum < 1) {
-        const err = new Error(
-          "Invalid page or limit parameters. Must be positive numbers."
+        // Prevent processing with invalid limit
+        throw new ValidationError(
+          "Invalid page or limit parameters. Must be positive numbers.",
+          { limit: "Must be a positive number." }
         );
-        err.status = 400;
-        throw err; // Prevent processing with invalid limit
       }
     } else {
       limitNum = 2; // Default items per page if 'limit' isn't specified
     }
 
+    // Parse the 'q', 'category', 'minPrice' and 'maxPrice' filters (utils/filterItems.js).
+    const filters = parseFilters(req.query);
+
+    // 'highlight=true' adds the match ranges of 'q' to every returned item.
+    const highlight = parseBoolean(req.query.highlight, "highlight");
+
+    // 'facets=category,price' adds counts per category and price bucket (utils/facets.js).
+    const facetRequest = parseFacets(req.query);
+
+    // 'fields=id,name' returns only those properties of each item (utils/fields.js).
+    const fields = parseFields(req.query.fields);
+
+    // Parse 'sort' and 'order' against the whitelist of sortable fields (utils/sortItems.js).
+    // Also validated up front, so a bad sort never costs a data read.
+    // Search results are ranked by relevance unless the client asked for another order.
+    const sortKeys = parseSort(rawSort, rawOrder);
+    if (filters.q && sortKeys.length === 0) sortKeys.push({ field: "score", order: "desc" });
+
+    // --- Cursor mode (opt-in) ---
+    // A 'cursor' parameter (empty for the first page) switches from page numbers to
+    // opaque cursors (utils/cursor.js). Cursor order always ends with the id.
+    const cursorMode = req.query.cursor !== undefined;
+    let cursorKeys, cursor;
+    if (cursorMode) {
+      if (rawPage !== undefined) {
+        throw new ValidationError("Use either page or cursor, not both.", {
+          cursor: "Cannot be combined with page.",
+        });
+      }
+      cursorKeys = cursorSortKeys(sortKeys);
+      cursor = decodeCursor(req.query.cursor, cursorKeys);
+    }
+
     // --- Data Retrieval & Filtering ---
     // Fetch all items asynchronously. This is a potentially I/O-bound operation.
-    const allItems = await readData();
-    let filteredItems = allItems; // Start with all items, then filter
-
-    // Apply search filter if 'q' (query) parameter is present.
-    // Performs a case-insensitive check on item names.
-    if (q) {
-      filteredItems = filteredItems.filter((item) =>
-        item.name.toLowerCase().includes(q.toLowerCase())
-      );
+    const store = getStore();
+    const allItems = await store.list();
+
+    // Full-text search ('q') over name, category and description via the store's inverted
+    // index (src/search), then the category and price filters (utils/filterItems.js).
+    // Each search hit is a copy of the item with its relevance 'score'.
+    const selection = await selectItems(store, allItems, filters);
+    let filteredItems = selection.items;
+
+    // Facets count the whole search result set, before pagination.
+    const facets = facetRequest ? computeFacets(selection.searched, filters, facetRequest) : undefined;
+
+    // A search with no or few results also offers "did you mean" corrections of 'q'.
+    let suggestions;
+    if (filters.q) {
+      suggestions =
+        filteredItems.length < config.searchSuggestBelow
+          ? suggestQueries(store, allItems, filters.q)
+          : [];
+    }
+
+    // --- Sorting ---
+    // Sort the filtered set before paginating, so pages follow the requested order.
+    // Without 'sort', items keep their storage order.
+    filteredItems = sortItems(filteredItems, cursorMode ? cursorKeys : sortKeys);
+
+    if (cursorMode) {
+      // The page after (or before) the cursor, with tokens for its neighbours.
+      const page = paginateByCursor(filteredItems, cursorKeys, cursor, limitNum);
+      return res.json({
+        items: present(page.items, { q: filters.q, highlight, fields }),
+        itemsPerPage: limitNum,
+        totalItems: filteredItems.length,
+        hasPreviousPage: page.hasPreviousPage,
+        hasNextPage: page.hasNextPage,
+        prevCursor: page.prevCursor,
+        nextCursor: page.nextCursor,
+        sort: formatSort(cursorKeys),
+        filters,
+        suggestions,
+        facets,
+      });
     }
 
     // --- Pagination Logic ---
@@ -91,7 +283,8 @@ router.get("/", async (req, res, next) => {
     // --- Send Response ---
     // Construct and send the JSON response with paginated items and metadata.
     res.json({
-      items: paginatedItems,
+      // Highlights and projections are only computed for the returned page.
+      items: present(paginatedItems, { q: filters.q, highlight, fields }),
       currentPage: pageNum,
       itemsPerPage: limitNum,
       totalItems: totalItems,
@@ -99,6 +292,15 @@ router.get("/", async (req, res, next) => {
       // Determine if there are previous/next pages for navigation controls.
       hasPreviousPage: pageNum > 1,
       hasNextPage: pageNum < totalPages,
+      // The applied sort in canonical form (e.g. "category,-price"), or null for storage order.
+      // Searches default to "-score" (most relevant first).
+      sort: formatSort(sortKeys),
+      // Only the filters that were applied, e.g. { category: ["Books"], maxPrice: 20 }.
+      filters,
+      // Searches only: corrected queries for "Did you mean ...?" (empty when there are enough results).
+      suggestions,
+      // Only with 'facets': counts per category and price bucket over all matching items.
+      facets,
     });
   } catch (err) {
     // Catch any errors that occurred during processing (e.g., file read errors, validation errors).
@@ -115,29 +317,120 @@ router.get("/", async (req, res, next) => {
 
 
 
+// GET /api/items/suggest
+// Autocomplete for the search box: up to 'limit' item names completing 'q'
+// (search/index.js). Registered before '/:id', which would otherwise match "suggest".
+
+router.get("/suggest", async (req, res, next) => {
+  try {
+    const q = req.query.q === undefined ? "" : String(req.query.q);
+
+    let limit = config.suggestLimit;
+    if (req.query.limit !== undefined) {
+      limit = Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > config.suggestMaxLimit) {
+        throw new ValidationError(
+          `Invalid limit parameter. Must be a whole number from 1 to ${config.suggestMaxLimit}.`,
+          { limit: `Must be a whole number from 1 to ${config.suggestMaxLimit}.` }
+        );
+      }
+    }
+
+    // Nothing typed yet: nothing to complete, and no need to read the data.
+    if (q.trim() === "") return res.json({ q, completions: [] });
+
+    const store = getStore();
+    const allItems = await store.list();
+    await prepareSearchIndex(store, allItems);
+    res.json({ q, completions: completeNames(store, allItems, q, limit) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+
+
+// POST /api/items/batch-get
+// Body: { "ids": [1, 4, 5] }. Like GET /api/items?ids=1,4,5, for lists too long for a URL.
+// Responds { items, missing }; 'fields' can be passed in the query string.
+
+router.post("/batch-get", async (req, res, next) => {
+  try {
+    const ids = parseIds(req.body && req.body.ids);
+    const fields = parseFields(req.query.fields);
+    res.json(await batchGet(ids, fields));
+  } catch (err) {
+    next(err);
+  }
+});
+
+
+
+// GET /api/items/export
+// Downloads every item matching the list's 'q' and filter parameters, in its 'sort'
+// order, as 'format' csv, ndjson or json (default); 'fields' picks the properties
+// (or CSV columns). The file is streamed item by item (utils/exportItems.js).
+
+router.get("/export", async (req, res, next) => {
+  try {
+    // Everything is validated before the first byte is sent; after that, errors can
+    // no longer become a JSON error response.
+    const format = parseFormat(req.query.format);
+    const filters = parseFilters(req.query);
+    const fields = parseFields(req.query.fields);
+    const sortKeys = parseSort(req.query.sort, req.query.order);
+    if (filters.q && sortKeys.length === 0) sortKeys.push({ field: "score", order: "desc" });
+
+    // The same selection as GET /api/items, without pagination.
+    const store = getStore();
+    const allItems = await store.list();
+    const items = sortItems((await selectItems(store, allItems, filters)).items, sortKeys);
+
+    const { contentType, chunks } = EXPORT_FORMATS[format];
+    res.set({
+      "Content-Type": contentType,
+      "Content-Disposition": `attachment; filename="${exportFileName(format)}"`,
+    });
+
+    // Items are projected one at a time as the stream pulls them, and pipeline() waits
+    // for the client to keep up (backpressure) instead of buffering the output.
+    const projected = (function* () {
+      for (const item of items) yield projectItem(item, fields);
+    })();
+    pipeline(Readable.from(chunks(projected, fields)), res, (err) => {
+      // A client that disconnects mid-download is not a server error.
+      if (err && err.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+        console.error(`[${req.id || "-"}] Export failed:`, err);
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+
+
 // GET /api/items/:id
 
 router.get("/:id", async (req, res, next) => {
   try {
-    // Fetch all items asynchronously. This ensures the operation doesn't block the server.
-    const allItems = await readData();
-
-    // Parse the item ID from the request parameters, ensuring it's an integer.
-    // Use radix 10 for parseInt for predictable behavior.
-    const itemId = parseInt(req.params.id, 10);
+    // Like the list, 'q' plus 'highlight=true' marks where the search matched the item,
+    // e.g. for a detail page opened from search results.
+    const highlight = parseBoolean(req.query.highlight, "highlight");
+    const fields = parseFields(req.query.fields);
 
-    // Find the item with the matching ID in the dataset.
-    const item = allItems.find((i) => i.id === itemId);
+    // Look the item up by id in the configured store (src/storage).
+    const item = await getStore().get(req.params.id);
 
     // If no item is found with the given ID, send a 404 Not Found error.
+    // The error is propagated to the Express error handling middleware.
     if (!item) {
-      const err = new Error("Item not found");
-      err.status = 404; // Set the HTTP status to 404
-      throw err; // Propagate the error to the Express error handling middleware
+      throw new NotFoundError("Item not found");
     }
 
     // If the item is found, send it as a JSON response.
-    res.json(item);
+    // 'fields' narrows it to the selected properties, like the list.
+    res.json(present([item], { q: req.query.q && String(req.query.q), highlight, fields })[0]);
   } catch (err) {
     // Catch any errors that occur during the process (e.g., file read errors, or the 404 error thrown above).
     // Pass the error to the next middleware for centralized error handling.
@@ -153,70 +446,280 @@ router.get("/:id", async (req, res, next) => {
 
 router.post("/", async (req, res, next) => {
   try {
-    // Extract the incoming item payload from the request body.
-    const item = req.body;
-
     // --- Input Validation for the new item payload ---
-    // Ensure 'name' is a non-empty string.
-    if (
-      !item.name ||
-      typeof item.name !== "string" ||
-      item.name.trim() === ""
-    ) {
-      const err = new Error(
-        "Item name is required and must be a non-empty string."
-      );
-      err.status = 400; // Bad Request
-      throw err; // Halt execution and pass error to middleware
-    }
-
-    // Ensure 'price' is a positive number.
-    // Check for undefined, correct type, not NaN, and positive value.
-    if (
-      item.price === undefined ||
-      typeof item.price !== "number" ||
-      isNaN(item.price) ||
-      item.price <= 0
-    ) {
-      const err = new Error(
-        "Item price is required and must be a positive number."
-      );
-      err.status = 400; // Bad Request
-      throw err; // Halt execution and pass error to middleware
-    }
-
-    // Ensure 'description' is a non-empty string.
-    if (
-      !item.description ||
-      typeof item.description !== "string" ||
-      item.description.trim() === ""
-    ) {
-      const err = new Error(
-        "Item category is required and must be a non-empty string."
+    // Checks the body against the item schema and reports every failing field at once.
+    // Halts execution and passes a 400 error to middleware if anything is invalid.
+    const item = validateCreate(req.body);
+
+    // --- Data Manipulation ---
+    // The store assigns a unique ID (see utils/idGenerator.js) and persists the item.
+    // Mutations are serialized, so concurrent creates can't overwrite each other.
+    const newItem = await getStore().create(item);
+
+    // --- Send Response ---
+    // Respond with a 201 Created status and the newly added item's details.
+    res.status(201).json(newItem);
+  } catch (err) {
+    // Catch any errors that occurred during validation or data operations.
+    // Pass the error to the Express error handling middleware for centralized processing.
+    next(err);
+  }
+});
+
+// POST /api/items/bulk
+// Applies many creates, updates and deletes with one request and a single write:
+//
+//   { "operations": [
+//       { "op": "create", "item": { ... } },
+//       { "op": "update", "id": 2, "item": { "price": 30 } },        (PATCH rules)
+//       { "op": "update", "id": 3, "item": { ... }, "replace": true }, (PUT rules)
+//       { "op": "delete", "id": 4 } ] }
+//
+// Each operation is validated like its single-item route and gets its own result with
+// the status that route would have answered. Invalid or failing operations don't stop
+// the others, unless 'atomic=true': then all operations are applied or none.
+
+const BULK_OPS = ["create", "update", "delete"];
+
+// Turns one raw operation into a store operation (see BaseStore.bulk), or throws.
+function parseOperation(raw) {
+  if (!raw || typeof raw !== "object" || !BULK_OPS.includes(raw.op)) {
+    throw new ValidationError("Invalid operation.", { op: `Must be one of: ${BULK_OPS.join(", ")}.` });
+  }
+  if (raw.op === "create") return { op: "create", fields: validateCreate(raw.item) };
+
+  if (typeof raw.id !== "string" && typeof raw.id !== "number") {
+    throw new ValidationError("Invalid operation.", { id: `Is required to ${raw.op} an item.` });
+  }
+  if (raw.op === "delete") return { op: "delete", id: raw.id };
+
+  const replace = raw.replace === true;
+  return { op: "update", id: raw.id, replace, fields: validateUpdate(raw.item, raw.id, { replace }) };
+}
+
+// The error part of a per-operation result, shaped like the error handler's responses.
+const operationError = (err) => ({
+  code: err.code,
+  message: err.message,
+  ...(err.details !== undefined && { details: err.details }),
+});
+
+router.post("/bulk", async (req, res, next) => {
+  try {
+    const atomic = parseBoolean(req.query.atomic, "atomic");
+
+    const operations = req.body && req.body.operations;
+    if (!Array.isArray(operations) || operations.length === 0) {
+      throw new ValidationError("Request body must contain a non-empty operations array.", {
+        operations: "Must be a non-empty array.",
+      });
+    }
+    if (operations.length > config.bulkMaxOperations) {
+      throw new ValidationError("Too many operations.", {
+        operations: `Cannot contain more than ${config.bulkMaxOperations} operations.`,
+      });
+    }
+
+    // --- Validation: every operation by the rules of its single-item route ---
+    const results = operations.map((raw, index) => ({ index, op: raw && raw.op }));
+    const valid = []; // { index, operation }
+    operations.forEach((raw, index) => {
+      try {
+        valid.push({ index, operation: parseOperation(raw) });
+      } catch (err) {
+        if (!(err instanceof ValidationError)) throw err;
+        Object.assign(results[index], { status: 400, error: operationError(err) });
+      }
+    });
+
+    // --- Data Manipulation: one store call, one write ---
+    // An atomic request with an invalid operation never reaches the store.
+    const invalid = valid.length < operations.length;
+    let committed = false;
+    if (valid.length > 0 && !(atomic && invalid)) {
+      const outcomes = await getStore().bulk(
+        valid.map((entry) => entry.operation),
+        { atomic }
       );
-      err.status = 400; // Bad Request
-      throw err; // Halt execution and pass error to middleware
+      committed = !atomic || outcomes.every((outcome) => outcome.ok);
+
+      valid.forEach(({ index, operation }, i) => {
+        const result = results[index];
+        const { ok, item } = outcomes[i];
+        if (operation.op !== "create") result.id = operation.id;
+        if (!ok) {
+          Object.assign(result, { status: 404, error: operationError(new NotFoundError("Item not found")) });
+        } else if (operation.op === "delete") {
+          result.status = 204;
+        } else {
+          Object.assign(result, { status: operation.op === "create" ? 201 : 200, item });
+        }
+      });
+    }
+
+    // In a failed atomic request, the operations that would have worked were rolled back.
+    if (atomic && !committed) {
+      results
+        .filter((result) => !result.error)
+        .forEach((result) => {
+          Object.assign(result, {
+            status: 424,
+            error: {
+              code: "NOT_APPLIED",
+              message: "Not applied, because another operation in this atomic request failed.",
+            },
+          });
+          delete result.item;
+        });
     }
 
+    const failed = results.filter((result) => result.error).length;
+    res.json({
+      atomic,
+      summary: { total: results.length, succeeded: results.length - failed, failed },
+      results,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/items/import
+// Imports items from a CSV body (Content-Type: text/csv); see utils/itemImport.js for
+// the columns and modes. 'mode' is "append" (default) or "upsert". With 'dryRun=true'
+// rows are checked, including whether upserted ids exist, but nothing is written.
+// Valid rows are imported in a single write; invalid ones are listed in 'errors'.
+
+router.post(
+  "/import",
+  express.text({ type: ["text/csv", "text/plain"], limit: config.importBodyLimit }),
+  async (req, res, next) => {
+    try {
+      const mode = req.query.mode === undefined ? "append" : req.query.mode;
+      if (!IMPORT_MODES.includes(mode)) {
+        throw new ValidationError(`Invalid mode parameter. Must be one of: ${IMPORT_MODES.join(", ")}.`, {
+          mode: `Must be one of: ${IMPORT_MODES.join(", ")}.`,
+        });
+      }
+      const dryRun = parseBoolean(req.query.dryRun, "dryRun");
+
+      // Without a text/csv (or text/plain) Content-Type, express.text leaves the body unparsed.
+      if (typeof req.body !== "string") {
+        throw new AppError("Request body must be CSV text (Content-Type: text/csv).", {
+          status: 415,
+          code: "UNSUPPORTED_MEDIA_TYPE",
+        });
+      }
+
+      // Parsing and validating every row is CPU-bound, so it runs in the worker pool.
+      const { rows, errors } = await runTask("readItemRows", { text: req.body, mode });
+      const total = rows.length + errors.length;
+      const store = getStore();
+
+      // Rows with an id update that item, merging the row into it (empty cells keep their
+      // current value). An id the store doesn't know is a row error, because ids are
+      // assigned by the server.
+      const unknownId = ({ row, line, id }) => ({
+        row,
+        line,
+        id,
+        message: `No item has id ${id}. Leave id empty to create a new item.`,
+      });
+
+      let applied = rows;
+      if (dryRun) {
+        const updates = rows.filter((r) => r.id !== undefined);
+        const existing = await store.getMany(updates.map((r) => r.id));
+        const unknown = new Set(updates.filter((r, i) => !existing[i]));
+        unknown.forEach((r) => errors.push(unknownId(r)));
+        applied = rows.filter((r) => !unknown.has(r));
+      } else if (rows.length > 0) {
+        const outcomes = await store.bulk(
+          rows.map((r) =>
+            r.id === undefined
+              ? { op: "create", fields: r.fields }
+              : { op: "update", id: r.id, fields: r.fields }
+          )
+        );
+        applied = rows.filter((r, i) => {
+          if (!outcomes[i].ok) errors.push(unknownId(r));
+          return outcomes[i].ok;
+        });
+      }
+
+      const updated = applied.filter((r) => r.id !== undefined).length;
+      res.json({
+        mode,
+        dryRun,
+        summary: {
+          rows: total,
+          created: applied.length - updated,
+          updated,
+          failed: errors.length,
+        },
+        errors: errors.sort((a, b) => a.row - b.row),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// PUT /api/items/:id
+// Replaces an existing item. The payload must be a complete, valid item.
+
+router.put("/:id", async (req, res, next) => {
+  try {
+    // --- Input Validation: the full item rules apply, as for POST ---
+    const payload = validateUpdate(req.body, req.params.id, { replace: true });
+
+    // --- Data Manipulation ---
+    // Keep the stored id; everything else comes from the payload.
+    const updated = await getStore().update(req.params.id, payload, { replace: true });
+    if (!updated) {
+      throw new NotFoundError("Item not found");
+    }
+
+    res.json(updated);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PATCH /api/items/:id
+// Partially updates an existing item. Only the supplied fields are validated and changed.
+
+router.patch("/:id", async (req, res, next) => {
+  try {
+    // --- Input Validation ---
+    // Only the supplied fields are checked against the item schema.
+    const changes = validateUpdate(req.body, req.params.id);
+
     // --- Data Manipulation ---
-    // Asynchronously read the current data from the storage.
-    const data = await readData();
+    // Merge the changes over the stored item, never letting the id change.
+    const updated = await getStore().update(req.params.id, changes);
+    if (!updated) {
+      throw new NotFoundError("Item not found");
+    }
 
-    // Assign a unique ID to the new item using the current timestamp.
-    item.id = Date.now();
+    res.json(updated);
+  } catch (err) {
+    next(err);
+  }
+});
 
-    // Add the validated and ID-assigned new item to the dataset.
-    data.push(item);
+// DELETE /api/items/:id
+// Removes an item. Responds 204 No Content on success.
 
-    // Asynchronously write the updated data back to the storage.
-    await writeData(data);
+router.delete("/:id", async (req, res, next) => {
+  try {
+    const deleted = await getStore().delete(req.params.id);
+    if (!deleted) {
+      throw new NotFoundError("Item not found");
+    }
 
-    // --- Send Response ---
-    // Respond with a 201 Created status and the newly added item's details.
-    res.status(201).json(item);
+    res.status(204).end();
   } catch (err) {
-    // Catch any errors that occurred during validation or data operations.
-    // Pass the error to the Express error handling middleware for centralized processing.
     next(err);
   }
 });
@@ -1,58 +1,75 @@
 const express = require('express');
-const fs = require('fs');
-const path = require('path');
 const router = express.Router();
-const { Worker } = require('worker_threads'); // Import Worker for offloading CPU tasks
-const { readData } = require('../utils/readData');
-const DATA_PATH = path.join(__dirname, '../../data/items.json');
-const WORKER_PATH = path.join(__dirname, "../utils/worker.js");
+const { getStore } = require('../storage');
+const { ValidationError } = require('../middleware/errorHandler');
+const { GROUP_BY } = require('../utils/stats');
+const { parsePriceBuckets } = require('../utils/facets');
+const { parseFilters, selectItems } = require('../utils/filterItems');
+const { runTask } = require('../workers');
+const { statsVersion, cachedStats } = require('../utils/statsCache');
+
+// Parses 'groupBy' (the dimension of the 'groups' breakdown, default category) and
+// 'priceBuckets' (the histogram boundaries, default FACET_PRICE_BUCKETS).
+// Both are validated up front, so bad parameters never cost a data read.
+function parseStatsOptions(query) {
+  const groupBy = query.groupBy === undefined ? "category" : query.groupBy;
+  if (!GROUP_BY.includes(groupBy)) {
+    throw new ValidationError(`Invalid groupBy parameter. Must be one of: ${GROUP_BY.join(", ")}.`, {
+      groupBy: `Must be one of: ${GROUP_BY.join(", ")}.`,
+    });
+  }
+  return { groupBy, boundaries: parsePriceBuckets(query.priceBuckets) };
+}
 
 
 // GET /api/stats
+// Statistics of the items GET /api/items lists for the same 'q', 'category', 'minPrice'
+// and 'maxPrice' filters (all items without filters).
+// Responds with the statistics plus 'version' (also sent as the ETag) and 'computedAt'.
+// Results are cached until the data changes (utils/statsCache.js); a client polling
+// with If-None-Match gets 304 Not Modified while its version is still current.
 router.get("/", async (req, res, next) => {
   try {
-    //  Read data asynchronously:
-    // This performs non-blocking I/O, ensuring the main thread remains responsive.
-    const items = await readData(DATA_PATH);
-
-    //  Offload CPU-bound calculation to a worker thread:
-    // Creating a new Worker instance allows computationally intensive tasks
-    // to run on a separate thread, preventing the Node.js event loop from blocking
-    // and maintaining responsiveness for other incoming requests.
-    const worker = new Worker(WORKER_PATH);
-
-    // Send the data required for the heavy calculation to the worker thread.
-    // This message initiates the processing within the worker.
-    worker.postMessage(items);
-
-    // Set up event listeners for the worker thread:
-
-    // 'message' event: Fired when the worker sends results back to the main thread.
-    worker.on("message", (stats) => {
-      res.json(stats); // Send the calculated statistics as the API response.
-      worker.terminate(); // Crucial: Terminate the worker to free up system resources immediately after use.
-    });
+    const filters = parseFilters(req.query);
+    const options = parseStatsOptions(req.query);
+    const store = getStore();
 
-    // 'error' event: Fired if any uncaught error occurs within the worker thread.
-    worker.on("error", (err) => {
-      console.error("Worker thread error:", err);
-      worker.terminate(); // Ensure the worker is terminated even on error to prevent resource leaks.
-      next(err); // Pass the error to Express's centralized error handling middleware.
-    });
+    res.set("Cache-Control", "no-cache");
+    res.set("ETag", `"${statsVersion(store)}"`);
+    if (req.fresh) return res.status(304).end();
+
+    const key = JSON.stringify({ filters, options });
+    const { stats, version, computedAt } = await cachedStats(store, key, async () => {
+      //  Read data asynchronously from the configured store:
+      // This performs non-blocking I/O, ensuring the main thread remains responsive.
+      const allItems = await store.list();
 
-    // 'exit' event: Fired when the worker thread exits.
-    // This is useful for debugging if the worker terminates unexpectedly.
-    worker.on("exit", (code) => {
-      if (code !== 0) {
-        // A non-zero exit code indicates an abnormal termination.
-        console.error(`Worker stopped with exit code ${code}`);
-      }
-      // No 'next(err)' here, as the 'error' event already handles error propagation.
+      // The same selection as the list view (utils/filterItems.js).
+      const { items } = await selectItems(store, allItems, filters);
+
+      //  Offload CPU-bound calculation to the shared worker pool (src/workers):
+      // the statistics are computed on a worker thread, so the event loop stays free for
+      // other requests, and a burst of stats requests queues for a fixed number of threads
+      // instead of starting one each. A job that fails, times out or crashes its worker
+      // rejects, and the error reaches the centralized error handler.
+      return runTask("stats", { items, options });
     });
+
+    // The version the statistics were computed for (older than the one above if the
+    // data changed meanwhile, so the next poll picks up the change).
+    res.set("ETag", `"${version}"`);
+    res.json({ ...stats, version, computedAt });
   } catch (err) {
-    // Catch any errors that occur before the worker thread is fully initialized,
-    // such as issues during `readData()` or synchronous errors.
     next(err); // Pass the error to the Express error handling middleware.
   }
 });
+
+// GET /api/stats/cache
+// Hit/miss counters of the in-memory data cache, for checking its effectiveness under load.
+// Only the JSON file store has a cache; other stores report it as disabled.
+router.get("/cache", (req, res) => {
+  const store = getStore();
+  res.json(typeof store.cacheStats === "function" ? store.cacheStats() : { enabled: false });
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,39 @@
+const fs = require("fs").promises;
+const config = require("../config");
+const { readData } = require("../utils/readData");
+const { writeFileAtomic } = require("../utils/writeData");
+const { snapshotPathFor } = require("../storage/jsonlStore");
+
+// One-shot migration from the JSON file adapter to the JSON Lines adapter:
+// the items of data/items.json become the initial snapshot, with an empty log.
+//
+//   npm run migrate:jsonl [-- --force]
+//
+// Refuses to overwrite an existing log or snapshot unless `force` is set.
+async function migrateToJsonl({ from = config.dataFile, to = config.jsonlFile, force = false } = {}) {
+  const snapshotPath = snapshotPathFor(to);
+  if (!force) {
+    for (const target of [to, snapshotPath]) {
+      const exists = await fs.access(target).then(() => true, () => false);
+      if (exists) throw new Error(`${target} already exists. Pass --force to overwrite it.`);
+    }
+  }
+
+  const items = await readData(from);
+  await writeFileAtomic(snapshotPath, JSON.stringify(items, null, 2));
+  await writeFileAtomic(to, "");
+  return { count: items.length, snapshotPath, logPath: to };
+}
+
+if (require.main === module) {
+  migrateToJsonl({ force: process.argv.includes("--force") })
+    .then(({ count, snapshotPath, logPath }) => {
+      console.log(`Migrated ${count} items to ${snapshotPath} (log: ${logPath}).`);
+    })
+    .catch((err) => {
+      console.error(err.message);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = { migrateToJsonl };
@@ -0,0 +1,38 @@
+// --- Edit distance for typo tolerance ---
+// Optimal string alignment distance: insertions, deletions, substitutions and swaps of
+// two adjacent characters each cost 1 ("hedphones" -> "headphones" is 1 edit).
+// Gives up early and returns `max + 1` once the distance must exceed `max`.
+function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  // Three rolling rows of the dynamic-programming table.
+  let prevPrev = [];
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      row.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return Math.min(prev[b.length], max + 1);
+}
+
+// Number of typos tolerated in a query word of this length: none for very short
+// words (too many false matches), one for short words, up to `max` otherwise.
+function allowedEdits(word, max) {
+  if (word.length <= 3) return 0;
+  if (word.length <= 5) return Math.min(1, max);
+  return max;
+}
+
+module.exports = { editDistance, allowedEdits };
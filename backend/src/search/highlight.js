@@ -0,0 +1,41 @@
+const config = require("../config");
+const { tokenize } = require("./tokenize");
+const { editDistance, allowedEdits } = require("./editDistance");
+const { DEFAULT_FIELDS } = require("./invertedIndex");
+
+// --- Match ranges for highlighting ---
+// Finds where the words of `query` occur in an item, with the same rules as the search:
+// a word matches a token exactly, as its prefix (only the prefix is highlighted), or
+// within the allowed number of typos (the whole token is highlighted).
+//
+// Returns [{ field, start, end }] in field order, then by position; `end` is exclusive,
+// so item[field].slice(start, end) is the matched text.
+function highlightMatches(
+  item,
+  query,
+  { fields = Object.keys(DEFAULT_FIELDS), maxEdits = config.searchMaxEdits } = {}
+) {
+  const words = [...new Set(tokenize(query).map((token) => token.term))];
+  if (words.length === 0) return [];
+
+  const ranges = [];
+  for (const field of fields) {
+    for (const token of tokenize(item[field])) {
+      let length = 0; // Longest highlighted length among the words matching this token
+      for (const word of words) {
+        const allowed = allowedEdits(word, maxEdits);
+        if (token.term.startsWith(word)) {
+          length = Math.max(length, word.length);
+        } else if (allowed > 0 && editDistance(word, token.term, allowed) <= allowed) {
+          length = token.end - token.start;
+        }
+      }
+      if (length > 0) {
+        ranges.push({ field, start: token.start, end: Math.min(token.start + length, token.end) });
+      }
+    }
+  }
+  return ranges;
+}
+
+module.exports = { highlightMatches };
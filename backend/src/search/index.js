@@ -0,0 +1,122 @@
+const config = require("../config");
+const { InvertedIndex } = require("./invertedIndex");
+const { runTask } = require("../workers");
+
+// --- Search index per store ---
+// Each store gets one inverted index, built on the first search and then kept up to
+// date from the store's "change" events (create/update/delete). A "reset" event (e.g.
+// the data file was edited outside the server) rebuilds it on the next search.
+const indexes = new WeakMap();
+
+function track(store) {
+  const entry = {
+    index: new InvertedIndex({ maxEdits: config.searchMaxEdits }),
+    stale: true,
+    version: 0, // Bumped on every change, so a rebuild can tell it missed one
+    rebuilding: null, // Promise of a rebuild running in the worker pool
+  };
+
+  store.on("change", (change) => {
+    entry.version++;
+    if (entry.stale) return; // Rebuilt from scratch on the next search anyway
+    if (change.type === "delete") entry.index.remove(change.id);
+    else entry.index.add(change.item);
+  });
+  store.on("reset", () => {
+    entry.version++;
+    entry.stale = true;
+  });
+
+  indexes.set(store, entry);
+  return entry;
+}
+
+// A size mismatch means the index missed a change; rebuilding is the safe answer.
+const needsRebuild = (entry, items) => entry.stale || entry.index.size !== items.length;
+
+// Returns the index of `store`. `items` must be the store's current full list
+// (the caller has just read it); it is only used when the index needs a rebuild.
+function getSearchIndex(store, items) {
+  const entry = indexes.get(store) || track(store);
+  if (needsRebuild(entry, items)) {
+    entry.index.rebuild(items);
+    entry.stale = false;
+  }
+  return entry.index;
+}
+
+// Makes sure the index of `store` is up to date before a search, rebuilding it in the
+// worker pool when a catalogue of config.searchWorkerThreshold items or more needs a
+// full rebuild, so tokenizing it doesn't hold up other requests. Concurrent searches
+// share one rebuild. If the store changes while it runs, its result is dropped and the
+// search rebuilds in the request thread instead (getSearchIndex), as for small catalogues.
+async function prepareSearchIndex(store, items) {
+  const entry = indexes.get(store) || track(store);
+  if (!needsRebuild(entry, items) || items.length < config.searchWorkerThreshold) return;
+
+  if (!entry.rebuilding) {
+    const version = entry.version;
+    entry.rebuilding = runTask("buildSearchIndex", { items, maxEdits: config.searchMaxEdits })
+      .then((snapshot) => {
+        if (entry.version !== version) return;
+        entry.index = InvertedIndex.fromSnapshot(snapshot, { maxEdits: config.searchMaxEdits });
+        entry.stale = false;
+      })
+      .finally(() => {
+        entry.rebuilding = null;
+      });
+  }
+  await entry.rebuilding;
+}
+
+// Runs the full-text query `q` over `items`, the store's current full list.
+// Returns the matching items ordered by relevance, each as a copy with its `score`.
+function searchItems(store, items, q) {
+  const index = getSearchIndex(store, items);
+  const scores = new Map(index.search(q).map((hit) => [hit.id, hit.score]));
+
+  // Sorting is stable, so equally relevant items keep storage order.
+  return items
+    .filter((item) => scores.has(String(item.id)))
+    .map((item) => ({ ...item, score: scores.get(String(item.id)) }))
+    .sort((a, b) => b.score - a.score);
+}
+
+// "Did you mean" corrections of `q` (see InvertedIndex.suggest), as query strings.
+function suggestQueries(store, items, q) {
+  return getSearchIndex(store, items).suggest(q);
+}
+
+// Autocompletion of `q` into item names (the search box dropdown): names containing
+// every word of `q`, each as a word or the start of one, without typo tolerance.
+// Names that start with `q` come first, then by relevance, then shorter names; ties
+// keep storage order. Returns up to `limit` distinct names (compared case-insensitively).
+function completeNames(store, items, q, limit) {
+  const index = getSearchIndex(store, items);
+  const hits = index.search(q, { fuzzy: 0, fields: ["name"] });
+  if (hits.length === 0) return [];
+
+  const names = new Map(items.map((item) => [String(item.id), String(item.name)]));
+  const typed = q.trim().toLowerCase();
+  const ranked = hits
+    .map((hit) => ({ name: names.get(hit.id), score: hit.score }))
+    .sort(
+      (a, b) =>
+        b.name.toLowerCase().startsWith(typed) - a.name.toLowerCase().startsWith(typed) ||
+        b.score - a.score ||
+        a.name.length - b.name.length
+    );
+
+  const completions = [];
+  const seen = new Set();
+  for (const { name } of ranked) {
+    const key = name.toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+    completions.push(name);
+    if (completions.length === limit) break;
+  }
+  return completions;
+}
+
+module.exports = { getSearchIndex, prepareSearchIndex, searchItems, suggestQueries, completeNames };
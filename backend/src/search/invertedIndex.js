@@ -0,0 +1,224 @@
+const { tokenize } = require("./tokenize");
+const { editDistance, allowedEdits } = require("./editDistance");
+
+// Searchable item fields and how much a match in each one counts towards the score.
+const DEFAULT_FIELDS = { name: 3, category: 2, description: 1 };
+
+// A match through prefix expansion ("lap" -> "laptop") counts half as much as an exact term.
+const PREFIX_WEIGHT = 0.5;
+
+// A fuzzy match ("monitr" -> "monitor") counts half as much again for every edit.
+const fuzzyWeight = (distance) => 0.5 ** (distance + 1);
+
+// --- In-memory inverted index ---
+// Maps every term to the items containing it, with per-field term counts:
+//
+//   postings: term -> Map(docKey -> { name: 2, description: 1 })
+//
+// Documents are keyed by String(id), like the stores match ids.
+class InvertedIndex {
+  // `maxEdits` is the default typo tolerance of search() and suggest(); 0 disables it.
+  constructor({ fields = DEFAULT_FIELDS, maxEdits = 2 } = {}) {
+    this.fields = fields;
+    this.maxEdits = maxEdits;
+    this.postings = new Map();
+    this.docs = new Map(); // docKey -> Set of the terms indexed for it
+    this.sortedTerms = null; // Sorted term list for prefix lookups; rebuilt lazily
+  }
+
+  get size() {
+    return this.docs.size;
+  }
+
+  // Replaces the whole index with `items`.
+  rebuild(items) {
+    this.postings = new Map();
+    this.docs = new Map();
+    this.sortedTerms = null;
+    items.forEach((item) => this.add(item));
+  }
+
+  // The index data, for sending a rebuild done in a worker thread back (Maps and Sets
+  // survive postMessage). fromSnapshot() turns it into an index again.
+  snapshot() {
+    return { postings: this.postings, docs: this.docs };
+  }
+
+  static fromSnapshot({ postings, docs }, options) {
+    const index = new InvertedIndex(options);
+    index.postings = postings;
+    index.docs = docs;
+    return index;
+  }
+
+  // Indexes an item, replacing any previous version with the same id.
+  add(item) {
+    const key = String(item.id);
+    if (this.docs.has(key)) this.remove(item.id);
+
+    const terms = new Set();
+    for (const field of Object.keys(this.fields)) {
+      for (const { term } of tokenize(item[field])) {
+        if (!this.postings.has(term)) {
+          this.postings.set(term, new Map());
+          this.sortedTerms = null;
+        }
+        const docs = this.postings.get(term);
+        const counts = docs.get(key) || {};
+        counts[field] = (counts[field] || 0) + 1;
+        docs.set(key, counts);
+        terms.add(term);
+      }
+    }
+    this.docs.set(key, terms);
+  }
+
+  remove(id) {
+    const key = String(id);
+    const terms = this.docs.get(key);
+    if (!terms) return;
+
+    for (const term of terms) {
+      const docs = this.postings.get(term);
+      docs.delete(key);
+      if (docs.size === 0) {
+        this.postings.delete(term);
+        this.sortedTerms = null;
+      }
+    }
+    this.docs.delete(key);
+  }
+
+  // Indexed terms starting with `prefix` (including `prefix` itself), via binary search.
+  termsWithPrefix(prefix) {
+    if (!this.sortedTerms) this.sortedTerms = Array.from(this.postings.keys()).sort();
+    const terms = this.sortedTerms;
+
+    let low = 0;
+    let high = terms.length;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (terms[mid] < prefix) low = mid + 1;
+      else high = mid;
+    }
+    const matches = [];
+    for (let i = low; i < terms.length && terms[i].startsWith(prefix); i++) matches.push(terms[i]);
+    return matches;
+  }
+
+  // Indexed terms within the allowed number of edits of `word`, as [{ term, distance }].
+  fuzzyTerms(word, maxEdits) {
+    const allowed = allowedEdits(word, maxEdits);
+    if (allowed === 0) return [];
+
+    const matches = [];
+    for (const term of this.postings.keys()) {
+      const distance = editDistance(word, term, allowed);
+      if (distance > 0 && distance <= allowed) matches.push({ term, distance });
+    }
+    return matches;
+  }
+
+  // Searches for `query`. Every query word must match (AND): exactly, as the prefix of
+  // an indexed word, or within `fuzzy` typos of one. `fields` limits the matches to some
+  // of the indexed fields. Returns [{ id, score }] ordered by descending score; `id` is
+  // the docKey (String(id)).
+  //
+  // Score of an item = sum over query words of the best-matching term's
+  //   sum over fields of (field boost * occurrences * idf) * match weight,
+  // where idf = ln(1 + items / items containing the term) favours rare terms, and the
+  // match weight is 1 for exact words, 1/2 for prefixes and 1/4, 1/8 for 1 or 2 typos.
+  search(query, { prefix = true, fuzzy = this.maxEdits, fields = Object.keys(this.fields) } = {}) {
+    const words = [...new Set(tokenize(query).map((token) => token.term))];
+    if (words.length === 0) return [];
+
+    let scores = null; // docKey -> score, narrowed by every word
+    for (const word of words) {
+      const wordScores = this.scoreWord(word, prefix, fuzzy, fields);
+      if (scores === null) {
+        scores = wordScores;
+      } else {
+        for (const [key, score] of scores) {
+          if (wordScores.has(key)) scores.set(key, score + wordScores.get(key));
+          else scores.delete(key);
+        }
+      }
+      if (scores.size === 0) return [];
+    }
+
+    return Array.from(scores, ([id, score]) => ({ id, score: Math.round(score * 1000) / 1000 }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  // docKey -> best score of `word` (exact, as a prefix or fuzzy) in `fields` of that item.
+  scoreWord(word, prefix, fuzzy, fields = Object.keys(this.fields)) {
+    const candidates = new Map(); // term -> match weight
+    if (prefix) {
+      this.termsWithPrefix(word).forEach((term) =>
+        candidates.set(term, term === word ? 1 : PREFIX_WEIGHT)
+      );
+    } else if (this.postings.has(word)) {
+      candidates.set(word, 1);
+    }
+    for (const { term, distance } of this.fuzzyTerms(word, fuzzy)) {
+      if (!candidates.has(term)) candidates.set(term, fuzzyWeight(distance));
+    }
+
+    const scores = new Map();
+    for (const [term, weight] of candidates) {
+      const docs = this.postings.get(term);
+      const idf = Math.log(1 + this.docs.size / docs.size);
+
+      for (const [key, counts] of docs) {
+        let score = 0;
+        for (const field of fields) score += this.fields[field] * (counts[field] || 0);
+        if (score === 0) continue;
+        score *= idf * weight;
+        if (score > (scores.get(key) || 0)) scores.set(key, score);
+      }
+    }
+    return scores;
+  }
+
+  // "Did you mean" corrections of `query`: up to `limit` queries in which every word
+  // that is not an indexed word (or prefix of one) is replaced by a close indexed word.
+  // Closer words come first, then more common ones. Only corrections that find
+  // results without typo tolerance are returned.
+  suggest(query, { maxEdits = this.maxEdits, limit = 3 } = {}) {
+    const words = tokenize(query).map((token) => token.term);
+    const options = words.map((word) => {
+      if (this.termsWithPrefix(word).length > 0) return [word];
+      const closest = this.fuzzyTerms(word, maxEdits)
+        .sort(
+          (a, b) =>
+            a.distance - b.distance ||
+            this.postings.get(b.term).size - this.postings.get(a.term).size ||
+            a.term.localeCompare(b.term)
+        )
+        .map((match) => match.term);
+      return closest.length > 0 ? closest.slice(0, limit) : [word];
+    });
+
+    // The best correction first, then variants that swap one word for its runner-up.
+    const best = options.map((candidates) => candidates[0]);
+    const variants = [best];
+    options.forEach((candidates, i) => {
+      candidates.slice(1).forEach((alternative) => {
+        variants.push(best.map((word, j) => (j === i ? alternative : word)));
+      });
+    });
+
+    const original = words.join(" ");
+    const suggestions = [];
+    for (const variant of variants) {
+      const text = variant.join(" ");
+      if (text === original || suggestions.includes(text)) continue;
+      if (this.search(text, { fuzzy: 0 }).length === 0) continue;
+      suggestions.push(text);
+      if (suggestions.length === limit) break;
+    }
+    return suggestions;
+  }
+}
+
+module.exports = { InvertedIndex, DEFAULT_FIELDS };
@@ -0,0 +1,19 @@
+// --- Tokenizer shared by indexing and querying ---
+// A token is a run of letters or digits, lower-cased. `start`/`end` are offsets
+// into the original text, so matches can be mapped back onto it.
+const WORD = /[\p{L}\p{N}]+/gu;
+
+function tokenize(text) {
+  if (text === undefined || text === null) return [];
+  const tokens = [];
+  for (const match of String(text).matchAll(WORD)) {
+    tokens.push({
+      term: match[0].toLowerCase(),
+      start: match.index,
+      end: match.index + match[0].length,
+    });
+  }
+  return tokens;
+}
+
+module.exports = { tokenize };
@@ -0,0 +1,145 @@
+const { EventEmitter } = require("events");
+const { createIdGenerator } = require("../utils/idGenerator");
+
+// --- Storage adapter interface ---
+// Every adapter exposes the same async API, so routes never know where items live:
+//
+//   list()                          all items, in storage order
+//   get(id)                         one item, or null
+//   getMany(ids)                    the items with `ids`, aligned with them (null where missing), in one read
+//   create(fields)                  stores a new item with a server-assigned id; returns it
+//   update(id, fields, { replace }) merges `fields` into the item (or replaces it); returns it, or null
+//   delete(id)                      removes the item; returns true, or false if it did not exist
+//   bulk(operations, { atomic })    applies several creates/updates/deletes in one write (see below)
+//   open() / close()                optional lifecycle hooks (recovery, file watching)
+//
+// Stores are EventEmitters, so derived data (e.g. the search index) can follow changes:
+//   "change" { type: "create" | "update", item } or { type: "delete", id }, after every successful mutation
+//   "reset"  the data changed in a way the store cannot describe (e.g. an outside edit of the file)
+//
+// Ids are matched as strings, so integer (sequence) and string (uuid/ulid) ids behave the same,
+// and the raw ':id' route param can be passed straight through.
+const sameId = (item, id) => String(item.id) === String(id);
+
+// Base class for adapters that hold the whole dataset as one array.
+// Subclasses implement:
+//   _load()          resolves with a copy of the current items array
+//   _commit(items)   persists the full, changed array
+//   _withLock(task)  runs `task` exclusively (defaults to running it directly)
+class BaseStore extends EventEmitter {
+  constructor({ ids = createIdGenerator() } = {}) {
+    super();
+    this.ids = ids;
+  }
+
+  async open() {}
+
+  async close() {}
+
+  async list() {
+    return this._load();
+  }
+
+  async get(id) {
+    const items = await this._load();
+    return items.find((item) => sameId(item, id)) || null;
+  }
+
+  async getMany(ids) {
+    const byId = new Map((await this._load()).map((item) => [String(item.id), item]));
+    return ids.map((id) => byId.get(String(id)) || null);
+  }
+
+  async create(fields) {
+    const item = await this._mutate((items) => {
+      const item = { id: this.ids.next(items), ...fields };
+      items.push(item);
+      return { changed: true, result: item };
+    });
+    this.emit("change", { type: "create", item });
+    return item;
+  }
+
+  async update(id, fields, { replace = false } = {}) {
+    const item = await this._mutate((items) => {
+      const index = items.findIndex((item) => sameId(item, id));
+      if (index === -1) return { changed: false, result: null };
+
+      // The stored id always wins; it can never be changed through an update.
+      const base = replace ? {} : items[index];
+      items[index] = { ...base, ...fields, id: items[index].id };
+      return { changed: true, result: items[index] };
+    });
+    if (item) this.emit("change", { type: "update", item });
+    return item;
+  }
+
+  async delete(id) {
+    const removed = await this._mutate((items) => {
+      const index = items.findIndex((item) => sameId(item, id));
+      if (index === -1) return { changed: false, result: null };
+
+      return { changed: true, result: items.splice(index, 1)[0] };
+    });
+    if (!removed) return false;
+    this.emit("change", { type: "delete", id: removed.id });
+    return true;
+  }
+
+  // Applies `operations` in order, with a single write:
+  //   { op: "create", fields } | { op: "update", id, fields, replace } | { op: "delete", id }
+  // Returns one result per operation: { ok: true, item } (the deleted item for deletes),
+  // or { ok: false } when the id does not exist. Successful operations are written even
+  // if others fail, unless `atomic` is set: then nothing is written unless all succeed.
+  async bulk(operations, { atomic = false } = {}) {
+    const { results, changes } = await this._mutate((items) => {
+      const results = [];
+      const changes = [];
+      for (const operation of operations) {
+        if (operation.op === "create") {
+          const item = { id: this.ids.next(items), ...operation.fields };
+          items.push(item);
+          results.push({ ok: true, item });
+          changes.push({ type: "create", item });
+          continue;
+        }
+
+        const index = items.findIndex((item) => sameId(item, operation.id));
+        if (index === -1) {
+          results.push({ ok: false });
+        } else if (operation.op === "delete") {
+          const [removed] = items.splice(index, 1);
+          results.push({ ok: true, item: removed });
+          changes.push({ type: "delete", id: removed.id });
+        } else {
+          const base = operation.replace ? {} : items[index];
+          items[index] = { ...base, ...operation.fields, id: items[index].id };
+          results.push({ ok: true, item: items[index] });
+          changes.push({ type: "update", item: items[index] });
+        }
+      }
+
+      const changed = changes.length > 0 && (!atomic || results.every((result) => result.ok));
+      return { changed, result: { results, changes: changed ? changes : [] } };
+    });
+    changes.forEach((change) => this.emit("change", change));
+    return results;
+  }
+
+  // Serialized read-modify-write. `mutator(items)` changes the array in place and
+  // returns { changed, result }; the array is only committed when `changed` is true.
+  async _mutate(mutator) {
+    return this._withLock(async () => {
+      const items = await this._load();
+      const { changed, result } = await mutator(items);
+      if (changed) await this._commit(items);
+      return result;
+    });
+  }
+
+  async _withLock(task) {
+    return task();
+  }
+}
+
+module.exports = { BaseStore, sameId };
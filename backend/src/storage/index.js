@@ -0,0 +1,37 @@
+const config = require("../config");
+const { JsonFileStore } = require("./jsonFileStore");
+const { JsonlStore } = require("./jsonlStore");
+const { MemoryStore } = require("./memoryStore");
+
+// Storage adapters selectable through the STORAGE environment variable.
+const ADAPTERS = {
+  json: (options) => new JsonFileStore(options),
+  jsonl: (options) => new JsonlStore(options),
+  memory: (options) => new MemoryStore(options.items, options),
+};
+
+// Builds a store of the given type (defaults to config.storage).
+function createStore({ type = config.storage, ...options } = {}) {
+  const factory = ADAPTERS[type];
+  if (!factory) {
+    throw new Error(
+      `Unknown storage adapter "${type}". Expected one of: ${Object.keys(ADAPTERS).join(", ")}.`
+    );
+  }
+  return factory(options);
+}
+
+// --- Active store ---
+// Routes call getStore() on every request, so tests can swap in a MemoryStore with setStore().
+let activeStore = null;
+
+function getStore() {
+  if (!activeStore) activeStore = createStore();
+  return activeStore;
+}
+
+function setStore(store) {
+  activeStore = store;
+}
+
+module.exports = { createStore, getStore, setStore, JsonFileStore, JsonlStore, MemoryStore };
@@ -0,0 +1,65 @@
+const config = require("../config");
+const { BaseStore } = require("./baseStore");
+const { StorageError } = require("../middleware/errorHandler");
+const { readData } = require("../utils/readData");
+const { writeFileAtomic, withWriteLock, recoverData } = require("../utils/writeData");
+const { createDataCache } = require("../utils/dataCache");
+
+// Stores all items as one JSON array in a file (data/items.json by default).
+// - Reads are served from an in-memory cache (utils/dataCache.js).
+// - Mutations are serialized and written atomically, mirrored to a .bak copy (utils/writeData.js).
+class JsonFileStore extends BaseStore {
+  constructor({ filePath = config.dataFile, cache = createDataCache(), ...options } = {}) {
+    super(options);
+    this.filePath = filePath;
+    this.cache = cache;
+  }
+
+  // Restores a corrupt file from its backup, then starts watching for outside edits,
+  // which are announced as a "reset" (see baseStore.js).
+  async open() {
+    await recoverData(this.filePath);
+    this.cache.watch(this.filePath, () => this.emit("reset"));
+  }
+
+  async close() {
+    this.cache.unwatch();
+  }
+
+  // Hit/miss counters of the read cache, exposed via GET /api/stats/cache.
+  cacheStats() {
+    return this.cache.stats();
+  }
+
+  async _load() {
+    const cached = this.cache.get();
+    if (cached) return cached;
+
+    let items;
+    try {
+      items = await readData(this.filePath);
+    } catch (err) {
+      // Unreadable or corrupt file (a missing one reads as empty, see readData.js).
+      throw new StorageError("Could not read the data file.", err);
+    }
+    this.cache.set(items);
+    return items.slice();
+  }
+
+  async _commit(items) {
+    const raw = JSON.stringify(items, null, 2);
+    try {
+      await writeFileAtomic(this.filePath, raw, { backup: true });
+    } catch (err) {
+      throw new StorageError("Could not write the data file.", err);
+    }
+    // Keep the read cache in step with what is now on disk.
+    this.cache.set(items, { raw });
+  }
+
+  _withLock(task) {
+    return withWriteLock(task);
+  }
+}
+
+module.exports = { JsonFileStore };
@@ -0,0 +1,268 @@
+const fs = require("fs").promises;
+const config = require("../config");
+const { BaseStore } = require("./baseStore");
+const { writeFileAtomic } = require("../utils/writeData");
+const { StorageError } = require("../middleware/errorHandler");
+
+// Snapshot written by compaction, next to the log: data/items.jsonl -> data/items.snapshot.json
+const snapshotPathFor = (filePath) => `${filePath.replace(/\.jsonl$/, "")}.snapshot.json`;
+
+// Append-only store for large catalogues. Instead of rewriting the whole dataset on
+// every change, each mutation appends one JSON line to a log:
+//
+//   {"op":"create","id":6,"item":{...},"ts":...}
+//   {"op":"update","id":6,"item":{...},"ts":...}   (the full item after the update)
+//   {"op":"delete","id":6,"ts":...}
+//
+// - open() rebuilds the items from the last snapshot plus a replay of the log.
+//   Replaying is idempotent, so a crash between writing a snapshot and truncating
+//   the log is harmless. A torn last line (crash mid-append) is dropped.
+// - Compaction writes the current items to the snapshot (atomically) and empties
+//   the log, every `compactEvery` records and every `compactIntervalMs`.
+// - Items live in a Map in memory, so reads never touch the disk.
+// - File system and parse failures are reported as StorageError, like the JSON file store.
+class JsonlStore extends BaseStore {
+  constructor({
+    filePath = config.jsonlFile,
+    compactEvery = config.jsonlCompactEvery,
+    compactIntervalMs = config.jsonlCompactIntervalMs,
+    ...options
+  } = {}) {
+    super(options);
+    this.filePath = filePath;
+    this.snapshotPath = snapshotPathFor(filePath);
+    this.compactEvery = compactEvery;
+    this.compactIntervalMs = compactIntervalMs;
+
+    this.items = new Map(); // String(id) -> item, in storage order
+    this.log = null; // Append-mode handle on the log file
+    this.logRecords = 0; // Records appended since the last compaction
+    this.opening = null;
+    this.timer = null;
+    this.queue = Promise.resolve();
+  }
+
+  // Idempotent; every public method awaits it, so an unopened store opens on first use.
+  // A failed replay is not cached, so the next call tries again.
+  open() {
+    if (!this.opening) {
+      this.opening = this._replay().catch((err) => {
+        this.opening = null;
+        throw err;
+      });
+    }
+    return this.opening;
+  }
+
+  async close() {
+    if (!this.opening) return;
+    await this.opening.catch(() => {});
+    await this.queue;
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.log) await this.log.close();
+    this.log = null;
+    this.opening = null;
+  }
+
+  async list() {
+    await this.open();
+    return Array.from(this.items.values());
+  }
+
+  async get(id) {
+    await this.open();
+    return this.items.get(String(id)) || null;
+  }
+
+  async getMany(ids) {
+    await this.open();
+    return ids.map((id) => this.items.get(String(id)) || null);
+  }
+
+  async create(fields) {
+    return this._withLock(async () => {
+      await this.open();
+      const item = { id: this.ids.next(), ...fields };
+      await this._append([{ op: "create", id: item.id, item }]);
+      this.emit("change", { type: "create", item });
+      return item;
+    });
+  }
+
+  async update(id, fields, { replace = false } = {}) {
+    return this._withLock(async () => {
+      await this.open();
+      const current = this.items.get(String(id));
+      if (!current) return null;
+
+      // The stored id always wins; it can never be changed through an update.
+      const item = { ...(replace ? {} : current), ...fields, id: current.id };
+      await this._append([{ op: "update", id: item.id, item }]);
+      this.emit("change", { type: "update", item });
+      return item;
+    });
+  }
+
+  async delete(id) {
+    return this._withLock(async () => {
+      await this.open();
+      const current = this.items.get(String(id));
+      if (!current) return false;
+
+      await this._append([{ op: "delete", id: current.id }]);
+      this.emit("change", { type: "delete", id: current.id });
+      return true;
+    });
+  }
+
+  // Folds the log into a fresh snapshot.
+  async compact() {
+    return this._withLock(async () => {
+      await this.open();
+      await this._compact();
+    });
+  }
+
+  // --- BaseStore hooks ---
+  // The single-item methods above append directly. These keep BaseStore._mutate()
+  // working for multi-item changes: the committed array is diffed against the
+  // current items and the differences are appended as one batch.
+
+  async _load() {
+    await this.open();
+    return Array.from(this.items.values());
+  }
+
+  async _commit(items) {
+    const records = [];
+    const kept = new Set();
+    for (const item of items) {
+      const key = String(item.id);
+      kept.add(key);
+      const current = this.items.get(key);
+      if (current !== item) records.push({ op: current ? "update" : "create", id: item.id, item });
+    }
+    for (const [key, item] of this.items) {
+      if (!kept.has(key)) records.push({ op: "delete", id: item.id });
+    }
+    await this._append(records);
+  }
+
+  _withLock(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  // --- Internals ---
+
+  // Writes `records` to the log in a single fsync'ed append, then applies them in memory.
+  async _append(records) {
+    if (records.length === 0) return;
+    const ts = Date.now();
+    const lines = records.map((record) => JSON.stringify({ ...record, ts }) + "\n").join("");
+    try {
+      await this.log.write(lines);
+      await this.log.datasync();
+    } catch (err) {
+      throw new StorageError("Could not append to the log file.", err);
+    }
+
+    records.forEach((record) => this._apply(record));
+    this.logRecords += records.length;
+    if (this.logRecords >= this.compactEvery) await this._compact();
+  }
+
+  _apply(record) {
+    if (record.op === "delete") this.items.delete(String(record.id));
+    else this.items.set(String(record.id), record.item);
+  }
+
+  async _compact() {
+    const items = Array.from(this.items.values());
+    try {
+      await writeFileAtomic(this.snapshotPath, JSON.stringify(items, null, 2));
+      // Only drop the log once the snapshot is safely on disk.
+      await this.log.truncate(0);
+      await this.log.datasync();
+    } catch (err) {
+      throw new StorageError("Could not compact the log file.", err);
+    }
+    this.logRecords = 0;
+  }
+
+  async _replay() {
+    this.items = new Map();
+    for (const item of await readSnapshot(this.snapshotPath)) {
+      this.items.set(String(item.id), item);
+    }
+
+    let raw = "";
+    try {
+      raw = await fs.readFile(this.filePath, "utf8");
+    } catch (err) {
+      if (err.code !== "ENOENT") throw new StorageError("Could not read the log file.", err);
+    }
+
+    const lines = raw.split("\n");
+    let validLength = 0; // Bytes of the log made of complete, parseable lines
+    let missingNewline = false; // Last record parsed, but has no trailing newline
+    this.logRecords = 0;
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      const isLast = i === lines.length - 1;
+      if (line.trim() === "") {
+        if (!isLast) validLength += Buffer.byteLength(line) + 1;
+        continue;
+      }
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (err) {
+        // Only the final line can be half-written by a crash; anything earlier is corruption.
+        if (!isLast) {
+          throw new StorageError(`Corrupt record on line ${i + 1} of ${this.filePath}.`, err);
+        }
+        console.warn(`Dropping incomplete last record of ${this.filePath}.`);
+        break;
+      }
+      this._apply(record);
+      this.logRecords++;
+      validLength += Buffer.byteLength(line) + (isLast ? 0 : 1);
+      missingNewline = isLast;
+    }
+
+    try {
+      this.log = await fs.open(this.filePath, "a");
+      // Cut off a torn tail and terminate the last record, so the next append starts on a fresh line.
+      if (validLength < Buffer.byteLength(raw)) await this.log.truncate(validLength);
+      if (missingNewline) await this.log.write("\n");
+    } catch (err) {
+      throw new StorageError("Could not open the log file.", err);
+    }
+
+    this.ids.seed(Array.from(this.items.values()));
+
+    if (this.compactIntervalMs > 0) {
+      this.timer = setInterval(() => {
+        if (this.logRecords > 0) this.compact().catch((err) => console.error(err));
+      }, this.compactIntervalMs);
+      // Don't keep the process alive just for compaction.
+      this.timer.unref();
+    }
+  }
+}
+
+// Reads the items array of a snapshot; a missing snapshot means an empty catalogue.
+async function readSnapshot(snapshotPath) {
+  try {
+    return JSON.parse(await fs.readFile(snapshotPath, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw new StorageError("Could not read the snapshot file.", err);
+  }
+}
+
+module.exports = { JsonlStore, snapshotPathFor };
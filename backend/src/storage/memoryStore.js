@@ -0,0 +1,29 @@
+const { BaseStore } = require("./baseStore");
+
+// Keeps items in a plain in-process array. Nothing is persisted, which makes it
+// the adapter of choice for tests (inject it with storage.setStore()).
+class MemoryStore extends BaseStore {
+  constructor(items = [], options) {
+    super(options);
+    // Copy the seed data so callers' fixtures are never mutated.
+    this.items = items.map((item) => ({ ...item }));
+    // Chain of pending mutations, mirroring the file adapter's serialization.
+    this.queue = Promise.resolve();
+  }
+
+  async _load() {
+    return this.items.slice();
+  }
+
+  async _commit(items) {
+    this.items = items;
+  }
+
+  _withLock(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+}
+
+module.exports = { MemoryStore };
@@ -0,0 +1,101 @@
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { createDataCache } = require("../utils/dataCache");
+const { mockItems } = require("./mockData");
+
+// The cache is off under Jest by default; these tests switch it on explicitly.
+let cache;
+
+beforeEach(() => {
+  cache = createDataCache({ enabled: true });
+});
+
+afterEach(() => {
+  cache.unwatch();
+});
+
+describe("createDataCache", () => {
+  test("should count a miss before anything is cached, then hits", () => {
+    expect(cache.get()).toBeNull();
+    cache.set(mockItems.map((item) => ({ ...item })));
+
+    expect(cache.get()).toEqual(mockItems);
+    expect(cache.get()).toEqual(mockItems);
+    expect(cache.stats()).toMatchObject({ hits: 2, misses: 1, cached: true, size: 5 });
+  });
+
+  test("should hand out copies of the array so callers can't corrupt the cache", () => {
+    cache.set(mockItems.map((item) => ({ ...item })));
+    const items = cache.get();
+    items.push({ id: 99, name: "Rogue" });
+    items.splice(0, 1);
+
+    expect(cache.get()).toEqual(mockItems);
+    // Items themselves are frozen
+    expect(Object.isFrozen(cache.get()[0])).toBe(true);
+  });
+
+  test("should miss again after an invalidation", () => {
+    cache.set([{ id: 1 }]);
+    cache.invalidate();
+
+    expect(cache.get()).toBeNull();
+    expect(cache.stats()).toMatchObject({ misses: 1, invalidations: 1, cached: false });
+  });
+
+  test("should not store anything or count lookups when disabled", () => {
+    cache = createDataCache({ enabled: false });
+    cache.set([{ id: 1 }]);
+
+    expect(cache.get()).toBeNull();
+    expect(cache.stats()).toMatchObject({ enabled: false, hits: 0, misses: 0 });
+  });
+});
+
+describe("dataCache.watch", () => {
+  let dir;
+  let file;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "items-cache-"));
+    file = path.join(dir, "items.json");
+    await fs.writeFile(file, "[]");
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  // Polls until `check` passes or the timeout expires (fs.watch events are asynchronous).
+  const eventually = async (check, timeout = 2000) => {
+    const start = Date.now();
+    while (!check()) {
+      if (Date.now() - start > timeout) throw new Error("Timed out waiting for condition");
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+  };
+
+  test("should invalidate the cache and notify when the file is edited externally", async () => {
+    const onChange = jest.fn();
+    cache.set([{ id: 1 }], { raw: "[]" });
+    cache.watch(file, onChange);
+
+    await fs.writeFile(file, '[{"id":1},{"id":2}]');
+
+    await eventually(() => cache.stats().invalidations === 1);
+    expect(cache.stats().cached).toBe(false);
+    expect(onChange).toHaveBeenCalled();
+  });
+
+  test("should ignore change events caused by our own writes", async () => {
+    const raw = '[{"id":1}]';
+    cache.set([{ id: 1 }], { raw });
+    cache.watch(file);
+
+    await fs.writeFile(file, raw);
+    await new Promise((resolve) => setTimeout(resolve, 200));
+
+    expect(cache.stats()).toMatchObject({ cached: true, invalidations: 0 });
+  });
+});
@@ -0,0 +1,142 @@
+const request = require("supertest");
+const express = require("express");
+const requestId = require("../middleware/requestId");
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  StorageError,
+  notFound,
+  errorHandler,
+} = require("../middleware/errorHandler");
+
+// Helper function to create an Express app wired like index.js,
+// with a few routes that fail in different ways.
+const createApp = () => {
+  const app = express();
+  app.use(requestId);
+  app.use(express.json());
+
+  app.get("/validation", (req, res, next) =>
+    next(new ValidationError("Bad input", { name: "Name is required." }))
+  );
+  app.get("/missing", (req, res, next) => next(new NotFoundError("Item not found")));
+  app.get("/conflict", (req, res, next) => next(new ConflictError("Already exists")));
+  app.get("/storage", (req, res, next) =>
+    next(new StorageError("Could not write data", new Error("EACCES: /secret/path")))
+  );
+  app.get("/plain", (req, res, next) => next(new Error("Something broke")));
+  app.get("/plain-status", (req, res, next) => {
+    const err = new Error("Legacy bad request");
+    err.status = 400;
+    next(err);
+  });
+  app.post("/echo", (req, res) => res.json(req.body));
+
+  app.use("*", notFound);
+  app.use(errorHandler);
+  return app;
+};
+
+let app;
+let consoleErrorSpy;
+const originalEnv = process.env.NODE_ENV;
+
+beforeEach(() => {
+  app = createApp();
+  // 5xx errors are logged; keep the test output clean.
+  consoleErrorSpy = jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  process.env.NODE_ENV = originalEnv;
+  consoleErrorSpy.mockRestore();
+});
+
+describe("errorHandler middleware", () => {
+  test("should return code, message and details for a ValidationError", async () => {
+    const res = await request(app).get("/validation");
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.body).toMatchObject({
+      code: "VALIDATION_ERROR",
+      message: "Bad input",
+      details: { name: "Name is required." },
+    });
+  });
+
+  test.each([
+    ["/missing", 404, "NOT_FOUND", "Item not found"],
+    ["/conflict", 409, "CONFLICT", "Already exists"],
+    ["/storage", 500, "STORAGE_ERROR", "Could not write data"],
+  ])("should map %s to %i with code %s", async (path, status, code, message) => {
+    const res = await request(app).get(path);
+
+    expect(res.statusCode).toEqual(status);
+    expect(res.body.code).toEqual(code);
+    expect(res.body.message).toEqual(message);
+  });
+
+  test("should return a JSON 404 for unknown routes", async () => {
+    const res = await request(app).get("/does-not-exist");
+
+    expect(res.statusCode).toEqual(404);
+    expect(res.headers["content-type"]).toMatch(/json/);
+    expect(res.body).toMatchObject({ code: "NOT_FOUND", message: "Route Not Found" });
+  });
+
+  test("should derive a code from the status of plain errors", async () => {
+    let res = await request(app).get("/plain");
+    expect(res.statusCode).toEqual(500);
+    expect(res.body).toMatchObject({ code: "INTERNAL_ERROR", message: "Something broke" });
+
+    res = await request(app).get("/plain-status");
+    expect(res.statusCode).toEqual(400);
+    expect(res.body).toMatchObject({ code: "BAD_REQUEST", message: "Legacy bad request" });
+  });
+
+  test("should return 400 INVALID_JSON for malformed JSON bodies", async () => {
+    const res = await request(app)
+      .post("/echo")
+      .set("Content-Type", "application/json")
+      .send('{"name": ');
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.code).toEqual("INVALID_JSON");
+  });
+
+  test("should generate a request id and echo it in the header and body", async () => {
+    const res = await request(app).get("/missing");
+
+    expect(res.headers["x-request-id"]).toBeDefined();
+    expect(res.body.requestId).toEqual(res.headers["x-request-id"]);
+  });
+
+  test("should reuse a client-supplied X-Request-Id", async () => {
+    const res = await request(app).get("/missing").set("X-Request-Id", "abc-123");
+
+    expect(res.headers["x-request-id"]).toEqual("abc-123");
+    expect(res.body.requestId).toEqual("abc-123");
+  });
+
+  test("should include the stack trace outside production", async () => {
+    process.env.NODE_ENV = "development";
+    const res = await request(app).get("/plain");
+
+    expect(res.body.stack).toContain("Something broke");
+  });
+
+  test("should hide stack traces and internal messages in production", async () => {
+    process.env.NODE_ENV = "production";
+
+    let res = await request(app).get("/plain");
+    expect(res.statusCode).toEqual(500);
+    expect(res.body).not.toHaveProperty("stack");
+    expect(res.body.message).toEqual("Internal Server Error");
+
+    // Deliberate AppErrors keep their (safe) message, but still no stack.
+    res = await request(app).get("/validation");
+    expect(res.body).not.toHaveProperty("stack");
+    expect(res.body.message).toEqual("Bad input");
+  });
+});
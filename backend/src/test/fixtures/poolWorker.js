@@ -0,0 +1,18 @@
+// Worker script for workerPool.test.js: answers jobs like workers/worker.js, with tasks
+// that misbehave on purpose.
+const { parentPort, threadId } = require("worker_threads");
+
+const tasks = {
+  threadId: () => threadId,
+  // Keeps the thread busy for `ms` milliseconds.
+  spin: ({ ms }) => {
+    const until = Date.now() + ms;
+    while (Date.now() < until);
+    return threadId;
+  },
+  crash: () => process.exit(1),
+};
+
+parentPort.on("message", ({ id, taskName, payload }) => {
+  parentPort.postMessage({ id, result: tasks[taskName](payload) });
+});
@@ -0,0 +1,53 @@
+const { createIdGenerator } = require("../utils/idGenerator");
+
+describe("createIdGenerator", () => {
+  test("sequence: continues from the highest existing integer id", () => {
+    const ids = createIdGenerator({ strategy: "sequence" });
+    expect(ids.next([{ id: 1 }, { id: 5 }, { id: 3 }])).toEqual(6);
+  });
+
+  test("sequence: never reissues an id, even for a stale snapshot", () => {
+    const ids = createIdGenerator({ strategy: "sequence" });
+    const snapshot = [{ id: 1 }, { id: 2 }];
+
+    expect(ids.next(snapshot)).toEqual(3);
+    expect(ids.next(snapshot)).toEqual(4);
+    // Data written by someone else with a higher id moves the sequence forward.
+    expect(ids.next([...snapshot, { id: 10 }])).toEqual(11);
+  });
+
+  test("sequence: ignores non-integer ids and starts at 1 for empty data", () => {
+    const ids = createIdGenerator({ strategy: "sequence" });
+    expect(ids.next([{ id: "01HZX" }, { id: 2.5 }])).toEqual(1);
+  });
+
+  test("sequence: seed() lets next() continue without the data", () => {
+    const ids = createIdGenerator({ strategy: "sequence" });
+    ids.seed([{ id: 7 }, { id: 2 }]);
+
+    expect(ids.next()).toEqual(8);
+    expect(ids.next()).toEqual(9);
+  });
+
+  test("uuid: returns distinct v4 UUIDs", () => {
+    const ids = createIdGenerator({ strategy: "uuid" });
+    const a = ids.next();
+    const b = ids.next();
+
+    expect(a).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    expect(a).not.toEqual(b);
+  });
+
+  test("ulid: returns 26-char ids that sort in creation order", () => {
+    const ids = createIdGenerator({ strategy: "ulid" });
+    const generated = Array.from({ length: 1000 }, () => ids.next());
+
+    generated.forEach((id) => expect(id).toMatch(/^[0-9A-HJKMNP-TV-Z]{26}$/));
+    expect(new Set(generated).size).toEqual(generated.length);
+    expect([...generated].sort()).toEqual(generated);
+  });
+
+  test("throws for an unknown strategy", () => {
+    expect(() => createIdGenerator({ strategy: "random" })).toThrow(/Unknown id strategy/);
+  });
+});
@@ -0,0 +1,170 @@
+const request = require("supertest");
+const express = require("express");
+const itemsRouter = require("../routes/items");
+const { MemoryStore, setStore } = require("../storage");
+const { mockItems } = require("./mockData");
+const { errorHandler } = require("../middleware/errorHandler");
+
+// In-memory store injected in place of the data file; assigned in beforeEach
+let store;
+
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use("/api/items", itemsRouter);
+  app.use(errorHandler);
+  return app;
+};
+
+let app;
+
+beforeEach(() => {
+  app = createApp();
+
+  store = new MemoryStore(mockItems);
+  // _commit counts writes: a bulk request must persist at most once
+  jest.spyOn(store, "bulk");
+  jest.spyOn(store, "_commit");
+  setStore(store);
+});
+
+const newItem = { name: "Speaker", price: 80, category: "Electronics" };
+
+const bulk = (operations, query = "") =>
+  request(app).post(`/api/items/bulk${query}`).send({ operations });
+
+// --- Test Suite for POST /api/items/bulk ---
+
+describe("POST /api/items/bulk", () => {
+  test("applies creates, updates and deletes with a single write", async () => {
+    const res = await bulk([
+      { op: "create", item: newItem },
+      { op: "update", id: 2, item: { price: 30 } },
+      { op: "update", id: "3", item: { name: "Mechanical Keyboard", price: 90, category: "Electronics" }, replace: true },
+      { op: "delete", id: 4 },
+    ]);
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toEqual({
+      atomic: false,
+      summary: { total: 4, succeeded: 4, failed: 0 },
+      results: [
+        { index: 0, op: "create", status: 201, item: { id: 6, ...newItem } },
+        { index: 1, op: "update", id: 2, status: 200, item: { ...mockItems[1], price: 30 } },
+        {
+          index: 2,
+          op: "update",
+          id: "3",
+          status: 200,
+          item: { id: 3, name: "Mechanical Keyboard", price: 90, category: "Electronics" },
+        },
+        { index: 3, op: "delete", id: 4, status: 204 },
+      ],
+    });
+    expect(store._commit).toHaveBeenCalledTimes(1);
+    expect((await store.list()).map((item) => item.id)).toEqual([1, 2, 3, 5, 6]);
+  });
+
+  test("validates each operation like its single-item route and applies the rest", async () => {
+    const res = await bulk([
+      { op: "create", item: { ...newItem, id: 50 } },
+      { op: "create", item: { name: "", price: -1, category: "Electronics" } },
+      { op: "update", id: 1, item: {} },
+      { op: "update", id: 999, item: { price: 10 } },
+      { op: "delete" },
+      { op: "rename", id: 1 },
+      { op: "update", id: 1, item: { price: 1100 } },
+    ]);
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.summary).toEqual({ total: 7, succeeded: 1, failed: 6 });
+    const [withId, invalid, emptyPatch, missing, noId, unknownOp, ok] = res.body.results;
+    expect(withId.error.details).toEqual({ id: "Item id is assigned by the server." });
+    expect(invalid).toMatchObject({ status: 400, error: { code: "VALIDATION_ERROR" } });
+    expect(Object.keys(invalid.error.details)).toEqual(["name", "price"]);
+    expect(emptyPatch.error.message).toEqual("Request body must contain at least one field to update.");
+    expect(missing).toMatchObject({ id: 999, status: 404, error: { code: "NOT_FOUND" } });
+    expect(noId.error.details).toEqual({ id: "Is required to delete an item." });
+    expect(unknownOp.error.details).toEqual({ op: "Must be one of: create, update, delete." });
+    expect(ok).toMatchObject({ status: 200, item: { id: 1, price: 1100 } });
+
+    expect(await store.get(1)).toMatchObject({ price: 1100 });
+    expect(store._commit).toHaveBeenCalledTimes(1);
+  });
+
+  describe("with atomic=true", () => {
+    test("applies everything when every operation succeeds", async () => {
+      const res = await bulk(
+        [
+          { op: "create", item: newItem },
+          { op: "delete", id: 5 },
+        ],
+        "?atomic=true"
+      );
+
+      expect(res.body.atomic).toBe(true);
+      expect(res.body.summary).toEqual({ total: 2, succeeded: 2, failed: 0 });
+      expect(store._commit).toHaveBeenCalledTimes(1);
+    });
+
+    test("applies nothing when an operation is invalid", async () => {
+      const res = await bulk(
+        [
+          { op: "create", item: newItem },
+          { op: "update", id: 1, item: { price: "free" } },
+        ],
+        "?atomic=true"
+      );
+
+      expect(res.body.summary).toEqual({ total: 2, succeeded: 0, failed: 2 });
+      expect(res.body.results[0]).toEqual({
+        index: 0,
+        op: "create",
+        status: 424,
+        error: {
+          code: "NOT_APPLIED",
+          message: "Not applied, because another operation in this atomic request failed.",
+        },
+      });
+      expect(res.body.results[1]).toMatchObject({ status: 400 });
+      expect(store.bulk).not.toHaveBeenCalled();
+      expect(await store.list()).toEqual(mockItems);
+    });
+
+    test("applies nothing when an item does not exist", async () => {
+      const res = await bulk(
+        [
+          { op: "delete", id: 1 },
+          { op: "delete", id: 999 },
+        ],
+        "?atomic=true"
+      );
+
+      expect(res.body.results.map((result) => result.status)).toEqual([424, 404]);
+      expect(store._commit).not.toHaveBeenCalled();
+      expect(await store.list()).toEqual(mockItems);
+    });
+  });
+
+  test("rejects a missing, empty or oversized operations list", async () => {
+    let res = await request(app).post("/api/items/bulk").send({});
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.details).toEqual({ operations: "Must be a non-empty array." });
+
+    res = await bulk([]);
+    expect(res.statusCode).toEqual(400);
+
+    res = await bulk(Array.from({ length: 1001 }, () => ({ op: "delete", id: 1 })));
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.details).toEqual({ operations: "Cannot contain more than 1000 operations." });
+
+    expect(store.bulk).not.toHaveBeenCalled();
+  });
+
+  test("rejects an invalid atomic flag", async () => {
+    const res = await bulk([{ op: "delete", id: 1 }], "?atomic=yes");
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.details).toEqual({ atomic: "Must be 'true' or 'false'." });
+  });
+});
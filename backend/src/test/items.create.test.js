@@ -1,19 +1,12 @@
 const request = require("supertest");
 const express = require("express");
 const itemsRouter = require("../routes/items"); 
-const fs = require("fs").promises; // Import the promise-based fs
+const { MemoryStore, setStore } = require("../storage");
 const { mockItems } = require("./mockData"); // Import mock data
+const { errorHandler } = require("../middleware/errorHandler");
 
-// --- Mock fs.promises for file operations ---
-jest.mock("fs", () => ({
-  promises: {
-    readFile: jest.fn(),
-    writeFile: jest.fn(),
-  },
-}));
-
-// Declare mockedFsPromises to be assigned in beforeEach
-let mockedFsPromises;
+// In-memory store injected in place of the data file; assigned in beforeEach
+let store;
 
 // Helper function to create a minimal Express app for testing
 const createApp = () => {
@@ -21,31 +14,24 @@ const createApp = () => {
   app.use(express.json()); // Essential for POST requests to parse req.body
   app.use("/api/items", itemsRouter); // Mount your items router
 
-  // Generic error handling middleware for tests
-  app.use((err, req, res, next) => {
-    res
-      .status(err.status || 500)
-      .json({ message: err.message || "Internal Server Error" });
-  });
+  // The real error handling middleware, so validation `details` can be asserted
+  app.use(errorHandler);
 
   return app;
 };
 
 let app;
 
-// Before each test, re-initialize the app and reset mocks
+// Before each test, re-initialize the app and inject a fresh store
 beforeEach(() => {
   app = createApp();
-  jest.clearAllMocks(); // Resets all mocks, including readFile and writeFile
-
-  // CRITICAL: Get the mocked fs.promises here
-  mockedFsPromises = require("fs").promises;
 
-  // Default mock implementation for readFile for all tests in this file
-  // POST needs to read existing data before adding new data
-  mockedFsPromises.readFile.mockResolvedValue(JSON.stringify(mockItems));
-  // Default mock implementation for writeFile
-  mockedFsPromises.writeFile.mockResolvedValue(undefined); // undefined signifies success
+  store = new MemoryStore(mockItems);
+  // Spies let tests check whether the store was asked to create, read or persist anything
+  jest.spyOn(store, "create");
+  jest.spyOn(store, "_load");
+  jest.spyOn(store, "_commit");
+  setStore(store);
 });
 
 // --- Test Suite for POST /api/items ---
@@ -54,6 +40,7 @@ describe("POST /api/items", () => {
   const newItemPayload = {
     name: "Smart Watch",
     price: 250,
+    category: "Electronics",
     description: "A cool smart watch",
   };
 
@@ -66,28 +53,22 @@ describe("POST /api/items", () => {
     expect(res.body).toHaveProperty("id");
     expect(res.body.name).toEqual(newItemPayload.name);
     expect(res.body.price).toEqual(newItemPayload.price);
-    // You can also check if the ID is a number and roughly around Date.now()
-    expect(typeof res.body.id).toBe("number");
-    expect(res.body.id).toBeGreaterThan(Date.now() - 1000); // ID should be a recent timestamp
+    // The ID continues the integer sequence of the existing data
+    expect(Number.isInteger(res.body.id)).toBe(true);
+    expect(res.body.id).toBeGreaterThan(Math.max(...mockItems.map((i) => i.id)));
 
-    // Verify readFile was called once to get existing items
-    expect(mockedFsPromises.readFile).toHaveBeenCalledTimes(1);
+    // Verify the store was asked to create the item once, and persisted the change once
+    expect(store.create).toHaveBeenCalledTimes(1);
+    expect(store._commit).toHaveBeenCalledTimes(1);
 
-    // Verify writeFile was called once with the updated data
-    expect(mockedFsPromises.writeFile).toHaveBeenCalledTimes(1);
-
-    // Get the arguments writeFile was called with
-    const writtenFilePath = mockedFsPromises.writeFile.mock.calls[0][0]; // First argument: path
-    const writtenDataString = mockedFsPromises.writeFile.mock.calls[0][1]; // Second argument: data string
-
-    // Parse the written JSON string to verify content
-    const writtenItems = JSON.parse(writtenDataString);
+    // Read the stored items back to verify content
+    const writtenItems = await store.list();
 
     // Expect the total number of items to increase by one
     expect(writtenItems.length).toEqual(mockItems.length + 1);
 
     // Expect the new item (with its generated ID) to be present in the written data
-    // We use expect.objectContaining because we don't know the exact ID generated by Date.now()
+    // We use expect.objectContaining because the exact sequence ID depends on earlier tests
     expect(writtenItems).toContainEqual(
       expect.objectContaining({
         name: newItemPayload.name,
@@ -107,8 +88,8 @@ describe("POST /api/items", () => {
     expect(res.body.message).toEqual(
       "Item name is required and must be a non-empty string."
     );
-    expect(mockedFsPromises.readFile).not.toHaveBeenCalled(); // Validation should prevent file read
-    expect(mockedFsPromises.writeFile).not.toHaveBeenCalled(); // No write on invalid payload
+    expect(store._load).not.toHaveBeenCalled(); // Validation should prevent data read
+    expect(store._commit).not.toHaveBeenCalled(); // No write on invalid payload
   });
 
   test('should return 400 if "name" is an empty string', async () => {
@@ -119,7 +100,7 @@ describe("POST /api/items", () => {
     expect(res.body.message).toEqual(
       "Item name is required and must be a non-empty string."
     );
-    expect(mockedFsPromises.readFile).not.toHaveBeenCalled();
+    expect(store.create).not.toHaveBeenCalled();
   });
 
   test('should return 400 if "name" is not a string', async () => {
@@ -130,7 +111,7 @@ describe("POST /api/items", () => {
     expect(res.body.message).toEqual(
       "Item name is required and must be a non-empty string."
     );
-    expect(mockedFsPromises.readFile).not.toHaveBeenCalled();
+    expect(store.create).not.toHaveBeenCalled();
   });
 
   test('should return 400 if "name" is only whitespace', async () => {
@@ -141,7 +122,7 @@ describe("POST /api/items", () => {
     expect(res.body.message).toEqual(
       "Item name is required and must be a non-empty string."
     );
-    expect(mockedFsPromises.readFile).not.toHaveBeenCalled();
+    expect(store.create).not.toHaveBeenCalled();
   });
 
 
@@ -153,7 +134,7 @@ describe("POST /api/items", () => {
     expect(res.body.message).toEqual(
       "Item price is required and must be a positive number."
     );
-    expect(mockedFsPromises.readFile).not.toHaveBeenCalled();
+    expect(store.create).not.toHaveBeenCalled();
   });
 
   test('should return 400 if "price" is not a number', async () => {
@@ -168,7 +149,7 @@ describe("POST /api/items", () => {
     expect(res.body.message).toEqual(
       "Item price is required and must be a positive number."
     );
-    expect(mockedFsPromises.readFile).not.toHaveBeenCalled();
+    expect(store.create).not.toHaveBeenCalled();
   });
 
   test('should return 400 if "price" is zero', async () => {
@@ -179,7 +160,7 @@ describe("POST /api/items", () => {
     expect(res.body.message).toEqual(
       "Item price is required and must be a positive number."
     );
-    expect(mockedFsPromises.readFile).not.toHaveBeenCalled();
+    expect(store.create).not.toHaveBeenCalled();
   });
 
   test('should return 400 if "price" is negative', async () => {
@@ -190,7 +171,7 @@ describe("POST /api/items", () => {
     expect(res.body.message).toEqual(
       "Item price is required and must be a positive number."
     );
-    expect(mockedFsPromises.readFile).not.toHaveBeenCalled();
+    expect(store.create).not.toHaveBeenCalled();
   });
 
 
@@ -202,7 +183,7 @@ describe("POST /api/items", () => {
     expect(res.body.message).toEqual(
       "Item category is required and must be a non-empty string."
     );
-    expect(mockedFsPromises.readFile).not.toHaveBeenCalled();
+    expect(store.create).not.toHaveBeenCalled();
   });
 
   test('should return 400 if "category" is an empty string', async () => {
@@ -213,7 +194,7 @@ describe("POST /api/items", () => {
     expect(res.body.message).toEqual(
       "Item category is required and must be a non-empty string."
     );
-    expect(mockedFsPromises.readFile).not.toHaveBeenCalled();
+    expect(store.create).not.toHaveBeenCalled();
   });
 
   test('should return 400 if "category" is not a string', async () => {
@@ -224,7 +205,7 @@ describe("POST /api/items", () => {
     expect(res.body.message).toEqual(
       "Item category is required and must be a non-empty string."
     );
-    expect(mockedFsPromises.readFile).not.toHaveBeenCalled();
+    expect(store.create).not.toHaveBeenCalled();
   });
 
   // Test for entirely empty body (if Express's json() parser yields empty object)
@@ -236,7 +217,7 @@ describe("POST /api/items", () => {
     expect(res.body.message).toEqual(
       "Item name is required and must be a non-empty string."
     );
-    expect(mockedFsPromises.readFile).not.toHaveBeenCalled();
+    expect(store.create).not.toHaveBeenCalled();
   });
 
   // Test for non-JSON body (if Express's json() parser yields empty object)
@@ -250,30 +231,102 @@ describe("POST /api/items", () => {
     expect(res.body.message).toEqual(
       "Item name is required and must be a non-empty string."
     ); // Falls through to first validation error
-    expect(mockedFsPromises.readFile).not.toHaveBeenCalled();
+    expect(store.create).not.toHaveBeenCalled();
+  });
+
+  test("should keep both items and assign distinct ids for concurrent creates", async () => {
+    const [first, second] = await Promise.all([
+      request(app).post("/api/items").send(newItemPayload),
+      request(app).post("/api/items").send(newItemPayload),
+    ]);
+
+    expect(first.statusCode).toEqual(201);
+    expect(second.statusCode).toEqual(201);
+    expect(first.body.id).not.toEqual(second.body.id);
+    // Mutations are serialized, so neither create overwrote the other
+    expect(await store.list()).toHaveLength(mockItems.length + 2);
+  });
+
+  test("should return 400 if the client supplies an id", async () => {
+    const res = await request(app)
+      .post("/api/items")
+      .send({ ...newItemPayload, id: 42 });
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.details).toEqual({ id: "Item id is assigned by the server." });
+    expect(store.create).not.toHaveBeenCalled();
+  });
+
+  test("should report every failing field at once", async () => {
+    const res = await request(app)
+      .post("/api/items")
+      .send({ name: "", price: -1, category: "Groceries", description: 42 });
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.code).toEqual("VALIDATION_ERROR");
+    expect(res.body.details).toEqual({
+      name: "Item name is required and must be a non-empty string.",
+      price: "Item price is required and must be a positive number.",
+      category: expect.stringContaining("Item category must be one of:"),
+      description: "Item description must be a string.",
+    });
+    expect(store.create).not.toHaveBeenCalled();
+  });
+
+  test("should return 400 if \"category\" is not an allowed category", async () => {
+    const res = await request(app)
+      .post("/api/items")
+      .send({ ...newItemPayload, category: "Groceries" });
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.message).toMatch(/^Item category must be one of: Electronics, Furniture/);
+  });
+
+  test("should return 400 if \"price\" exceeds the maximum", async () => {
+    const res = await request(app)
+      .post("/api/items")
+      .send({ ...newItemPayload, price: 1000001 });
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.details).toEqual({ price: "Item price must be at most 1000000." });
+  });
+
+  test("should reject unknown fields", async () => {
+    const res = await request(app)
+      .post("/api/items")
+      .send({ ...newItemPayload, color: "red" });
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.details).toEqual({ color: "Unknown field 'color'." });
+    expect(store._commit).not.toHaveBeenCalled();
+  });
+
+  test("should accept items without a description and trim string fields", async () => {
+    const res = await request(app)
+      .post("/api/items")
+      .send({ name: "  Desk Lamp ", price: 40, category: "Home" });
+
+    expect(res.statusCode).toEqual(201);
+    expect(res.body).toMatchObject({ name: "Desk Lamp", price: 40, category: "Home" });
   });
 
   // ERROR CASES
 
-  test("should handle file read error during POST operation", async () => {
-    // Mock readFile to reject when the route tries to read existing data
-    mockedFsPromises.readFile.mockRejectedValueOnce(
-      new Error("Read error during POST before save")
-    );
+  test("should handle data read error during POST operation", async () => {
+    // Make the store's read of existing data reject
+    store._load.mockRejectedValueOnce(new Error("Read error during POST before save"));
 
     const res = await request(app).post("/api/items").send(newItemPayload);
 
     expect(res.statusCode).toEqual(500); // Expect server error
     expect(res.body.message).toEqual("Read error during POST before save");
-    expect(mockedFsPromises.readFile).toHaveBeenCalledTimes(1);
-    expect(mockedFsPromises.writeFile).not.toHaveBeenCalled(); // Ensure no write happened if read failed
+    expect(store._load).toHaveBeenCalledTimes(1);
+    expect(store._commit).not.toHaveBeenCalled(); // Ensure no write happened if read failed
   });
 
-  test("should handle file write error during POST operation", async () => {
-    // Mock readFile to succeed (to get existing items)
-    mockedFsPromises.readFile.mockResolvedValueOnce(JSON.stringify(mockItems));
-    // Mock writeFile to reject when the route tries to save the new data
-    mockedFsPromises.writeFile.mockRejectedValueOnce(
+  test("should handle data write error during POST operation", async () => {
+    // Make the store's save of the new data reject
+    store._commit.mockRejectedValueOnce(
       new Error("Write error during POST after adding item")
     );
 
@@ -283,22 +336,10 @@ describe("POST /api/items", () => {
     expect(res.body.message).toEqual(
       "Write error during POST after adding item"
     );
-    expect(mockedFsPromises.readFile).toHaveBeenCalledTimes(1);
-    expect(mockedFsPromises.writeFile).toHaveBeenCalledTimes(1); // writeFile was attempted
-  });
-
-  test("should handle invalid JSON data in file when reading existing items for POST", async () => {
-    // Mock readFile to return malformed JSON for the initial read
-    mockedFsPromises.readFile.mockResolvedValueOnce('{"id":1, "name":"Test"');
-
-    const res = await request(app).post("/api/items").send(newItemPayload);
-
-    expect(res.statusCode).toEqual(500);
-    expect(res.body.message).toMatch(/Unexpected|JSON/); // Expect JSON parsing error
-    expect(mockedFsPromises.readFile).toHaveBeenCalledTimes(1);
-    expect(mockedFsPromises.writeFile).not.toHaveBeenCalled(); // No write should happen
+    expect(store._commit).toHaveBeenCalledTimes(1); // The write was attempted
+    // The failed create must not be visible afterwards
+    expect(await store.list()).toHaveLength(mockItems.length);
   });
 
-  // Optional: Test for missing/malformed payload if validation were present
-  // As per your TODO, validation is omitted, so we don't test invalid payload structures for now.
+  // Corrupt data files are covered by jsonFileStore.test.js.
 });
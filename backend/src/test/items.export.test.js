@@ -0,0 +1,150 @@
+const request = require("supertest");
+const express = require("express");
+const itemsRouter = require("../routes/items");
+const { MemoryStore, setStore } = require("../storage");
+const { errorHandler } = require("../middleware/errorHandler");
+const { closeWorkerPool } = require("../workers");
+const { parseCsv } = require("../utils/csv");
+
+const catalogue = [
+  { id: 1, name: "Laptop", category: "Electronics", price: 1200, description: 'Thin, 14" screen' },
+  { id: 2, name: "Desk", category: "Furniture", price: 300 },
+  { id: 3, name: "Mouse", category: "Electronics", price: 25 },
+];
+
+let store;
+
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use("/api/items", itemsRouter);
+  app.use(errorHandler);
+  return app;
+};
+
+let app;
+
+beforeEach(() => {
+  app = createApp();
+
+  store = new MemoryStore(catalogue);
+  jest.spyOn(store, "list");
+  setStore(store);
+});
+
+afterAll(closeWorkerPool);
+
+// Collects the raw response text, whatever its Content-Type.
+const download = (url) =>
+  request(app)
+    .get(url)
+    .buffer(true)
+    .parse((res, callback) => {
+      let text = "";
+      res.setEncoding("utf8");
+      res.on("data", (chunk) => (text += chunk));
+      res.on("end", () => callback(null, text));
+    });
+
+// --- Test Suite for GET /api/items/export ---
+
+describe("GET /api/items/export", () => {
+  test("downloads every item as a JSON array by default", async () => {
+    const res = await download("/api/items/export");
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.headers["content-type"]).toMatch(/^application\/json/);
+    expect(res.headers["content-disposition"]).toMatch(
+      /^attachment; filename="items-\d{4}-\d{2}-\d{2}\.json"$/
+    );
+    expect(JSON.parse(res.body)).toEqual(catalogue);
+  });
+
+  test("writes NDJSON, one item per line", async () => {
+    const res = await download("/api/items/export?format=ndjson");
+
+    expect(res.headers["content-type"]).toMatch(/^application\/x-ndjson/);
+    expect(res.headers["content-disposition"]).toMatch(/\.ndjson"$/);
+    expect(res.body.trimEnd().split("\n").map((line) => JSON.parse(line))).toEqual(catalogue);
+  });
+
+  test("writes CSV that quotes cells where needed", async () => {
+    const res = await download("/api/items/export?format=csv");
+
+    expect(res.headers["content-type"]).toMatch(/^text\/csv/);
+    expect(res.body.split("\r\n")[1]).toEqual('1,Laptop,1200,Electronics,"Thin, 14"" screen"');
+    expect(parseCsv(res.body).map((record) => record.cells)).toEqual([
+      ["id", "name", "price", "category", "description"],
+      ["1", "Laptop", "1200", "Electronics", 'Thin, 14" screen'],
+      ["2", "Desk", "300", "Furniture", ""],
+      ["3", "Mouse", "25", "Electronics", ""],
+    ]);
+  });
+
+  test("keeps cells that start like a formula from running in spreadsheets", async () => {
+    await store.create({ name: '=HYPERLINK("http://evil.example","Click")', category: "Toys", price: 5 });
+    await store.create({ name: "-Sale-", category: "Toys", price: 7, description: "@home" });
+
+    const res = await download(
+      "/api/items/export?format=csv&category=Toys&fields=name,price,description"
+    );
+
+    expect(res.body.split("\r\n")).toEqual([
+      "name,price,description",
+      '"\'=HYPERLINK(""http://evil.example"",""Click"")",5,',
+      "'-Sale-,7,'@home",
+      "",
+    ]);
+  });
+
+  test("round-trips formula-like text through POST /api/items/import unchanged", async () => {
+    const tricky = [
+      { name: '=HYPERLINK("http://evil.example")', category: "Toys", price: 5, description: "@home" },
+      { name: "-Sale-", category: "Toys", price: 7, description: "'quoted" },
+      { name: "'=already escaped", category: "Toys", price: 9, description: "+1 inch" },
+    ];
+    for (const fields of tricky) await store.create(fields);
+
+    const exported = await download(
+      "/api/items/export?format=csv&category=Toys&fields=name,price,category,description"
+    );
+
+    store = new MemoryStore([]);
+    setStore(store);
+    const res = await request(app)
+      .post("/api/items/import")
+      .set("Content-Type", "text/csv")
+      .send(exported.body);
+
+    expect(res.body.summary).toMatchObject({ created: 3, failed: 0 });
+    expect((await store.list()).map(({ id, ...fields }) => fields)).toEqual(tricky);
+  });
+
+  test("honours the list's search, filter, sort and fields parameters", async () => {
+    let res = await download("/api/items/export?category=Electronics&sort=price&fields=id,price");
+    expect(JSON.parse(res.body)).toEqual([
+      { id: 3, price: 25 },
+      { id: 1, price: 1200 },
+    ]);
+
+    res = await download("/api/items/export?format=csv&q=desk&fields=name,price");
+    expect(res.body).toEqual("name,price\r\nDesk,300\r\n");
+  });
+
+  test("writes an empty array when nothing matches", async () => {
+    const res = await download("/api/items/export?q=xylophone");
+
+    expect(JSON.parse(res.body)).toEqual([]);
+  });
+
+  test("rejects an unknown format or invalid parameters before reading data", async () => {
+    let res = await request(app).get("/api/items/export?format=xml");
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.details).toEqual({ format: "Must be one of: csv, ndjson, json." });
+
+    res = await request(app).get("/api/items/export?sort=colour");
+    expect(res.statusCode).toEqual(400);
+
+    expect(store.list).not.toHaveBeenCalled();
+  });
+});
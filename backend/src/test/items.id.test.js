@@ -1,19 +1,11 @@
 const request = require("supertest");
 const express = require("express");
 const itemsRouter = require("../routes/items"); 
-const fs = require("fs").promises; 
+const { MemoryStore, setStore } = require("../storage");
 const { mockItems } = require("./mockData"); 
 
-// --- Mock fs.promises for file operations ---
-jest.mock("fs", () => ({
-  promises: {
-    readFile: jest.fn(),
-    writeFile: jest.fn(), // Include writeFile mock if other routes exist in items.js
-  },
-}));
-
-// Declare mockedFsPromises to be assigned in beforeEach
-let mockedFsPromises;
+// --- In-memory store injected in place of the data file ---
+let store;
 
 // Helper function to create a minimal Express app for testing
 const createApp = () => {
@@ -33,19 +25,13 @@ const createApp = () => {
 
 let app;
 
-// Before each test, re-initialize the app and reset mocks
+// Before each test, re-initialize the app and inject a fresh store
 beforeEach(() => {
   app = createApp();
-  jest.clearAllMocks(); // Resets all mocks
-
-  // CRITICAL: Get the mocked fs.promises here
-  mockedFsPromises = require("fs").promises;
 
-  // Set default mock implementation for readFile for this test file
-  mockedFsPromises.readFile.mockResolvedValue(JSON.stringify(mockItems));
-  // Set default mock implementation for writeFile (even if not used in this file's tests,
-  // it prevents potential issues if itemsRouter's other methods were called).
-  mockedFsPromises.writeFile.mockResolvedValue(undefined);
+  store = new MemoryStore(mockItems);
+  jest.spyOn(store, "get"); // Lets tests assert the store lookup
+  setStore(store);
 });
 
 // --- Test Suite for GET /api/items/:id ---
@@ -56,14 +42,14 @@ describe("GET /api/items/:id", () => {
     const res = await request(app).get("/api/items/1");
     expect(res.statusCode).toEqual(200);
     expect(res.body).toEqual(mockItems[0]); // Expect the first item from mockData
-    expect(mockedFsPromises.readFile).toHaveBeenCalledTimes(1); // Should read the file once
+    expect(store.get).toHaveBeenCalledTimes(1); // Should look the item up once
   });
 
   test("should return another item by a different ID", async () => {
     const res = await request(app).get("/api/items/3");
     expect(res.statusCode).toEqual(200);
     expect(res.body).toEqual(mockItems[2]); // Expect the third item from mockData
-    expect(mockedFsPromises.readFile).toHaveBeenCalledTimes(1); // Should read the file once
+    expect(store.get).toHaveBeenCalledTimes(1); // Should look the item up once
   });
 
   // ERROR CASES
@@ -71,47 +57,31 @@ describe("GET /api/items/:id", () => {
     const res = await request(app).get("/api/items/999"); // An ID not present in mockItems
     expect(res.statusCode).toEqual(404);
     expect(res.body.message).toEqual("Item not found");
-    expect(mockedFsPromises.readFile).toHaveBeenCalledTimes(1); // Still reads file to check
+    expect(store.get).toHaveBeenCalledTimes(1); // Still looks the item up to check
   });
 
   test("should handle invalid ID format (non-numeric) and return 404", async () => {
     const res = await request(app).get("/api/items/abc"); // Invalid ID
     expect(res.statusCode).toEqual(404);
-    expect(res.body.message).toEqual("Item not found"); // parseInt('abc') is NaN, find(i => i.id === NaN) will fail
-    expect(mockedFsPromises.readFile).toHaveBeenCalledTimes(1);
+    expect(res.body.message).toEqual("Item not found"); // no item has the id "abc"
+    expect(store.get).toHaveBeenCalledTimes(1);
   });
 
   test("should handle file read error gracefully for ID lookup", async () => {
-    // Mock readFile to reject with an error
-    mockedFsPromises.readFile.mockRejectedValueOnce(
-      new Error("File read error during ID lookup")
-    );
+    // Make the store lookup reject with an error
+    store.get.mockRejectedValueOnce(new Error("File read error during ID lookup"));
 
     const res = await request(app).get("/api/items/1");
     expect(res.statusCode).toEqual(500); // Expect 500 from error middleware
     expect(res.body.message).toEqual("File read error during ID lookup");
-    expect(mockedFsPromises.readFile).toHaveBeenCalledTimes(1);
+    expect(store.get).toHaveBeenCalledTimes(1);
   });
 
-  test("should handle invalid JSON data in file for ID lookup", async () => {
-    // Mock readFile to return malformed JSON
-    mockedFsPromises.readFile.mockResolvedValueOnce('{"invalid": json');
+  test("should return 404 when the store is empty", async () => {
+    setStore(new MemoryStore([]));
 
     const res = await request(app).get("/api/items/1");
-    expect(res.statusCode).toEqual(500);
-    expect(res.body.message).toMatch(/Unexpected|JSON/); // Expect JSON parsing error
-    expect(mockedFsPromises.readFile).toHaveBeenCalledTimes(1);
-  });
-
-  test("should return empty array if data file does not exist (ENOENT) for ID lookup", async () => {
-    // Mock readFile to reject with ENOENT error code
-    const noEntError = new Error("No such file or directory");
-    noEntError.code = "ENOENT";
-    mockedFsPromises.readFile.mockRejectedValueOnce(noEntError);
-
-    const res = await request(app).get("/api/items/1"); // Look for ID 1, but file doesn't exist
-    expect(res.statusCode).toEqual(404); // readData returns [], so find will not find item -> 404
+    expect(res.statusCode).toEqual(404);
     expect(res.body.message).toEqual("Item not found");
-    expect(mockedFsPromises.readFile).toHaveBeenCalledTimes(1);
   });
 });
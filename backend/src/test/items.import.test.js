@@ -0,0 +1,190 @@
+const request = require("supertest");
+const express = require("express");
+const itemsRouter = require("../routes/items");
+const { MemoryStore, setStore } = require("../storage");
+const { errorHandler } = require("../middleware/errorHandler");
+const { closeWorkerPool } = require("../workers");
+const { parseCsv } = require("../utils/csv");
+
+const catalogue = [
+  { id: 1, name: "Laptop", category: "Electronics", price: 1200, description: "14 inch" },
+  { id: 2, name: "Desk", category: "Furniture", price: 300 },
+];
+
+let store;
+
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use("/api/items", itemsRouter);
+  app.use(errorHandler);
+  return app;
+};
+
+let app;
+
+beforeEach(() => {
+  app = createApp();
+
+  store = new MemoryStore(catalogue);
+  jest.spyOn(store, "bulk");
+  jest.spyOn(store, "_commit");
+  setStore(store);
+});
+
+afterAll(closeWorkerPool);
+
+const importCsv = (csv, query = "") =>
+  request(app).post(`/api/items/import${query}`).set("Content-Type", "text/csv").send(csv);
+
+// --- CSV reader ---
+
+describe("parseCsv", () => {
+  test("splits records and fields, with quoted commas, quotes and line breaks", () => {
+    const csv = 'name,description\r\n"Desk, oak","The ""big"" one\nwith drawers"\r\n\r\nLamp,\n';
+
+    expect(parseCsv(csv)).toEqual([
+      { line: 1, cells: ["name", "description"] },
+      { line: 2, cells: ["Desk, oak", 'The "big" one\nwith drawers'] },
+      { line: 5, cells: ["Lamp", ""] },
+    ]);
+  });
+
+  test("ignores a byte order mark", () => {
+    expect(parseCsv("\uFEFFname\nLamp")[0].cells).toEqual(["name"]);
+  });
+
+  test("rejects an unterminated quoted field", () => {
+    expect(() => parseCsv('name\n"Lamp\n')).toThrow("Invalid CSV.");
+  });
+});
+
+// --- Test Suite for POST /api/items/import ---
+
+describe("POST /api/items/import", () => {
+  test("appends every valid row in a single write and reports row errors", async () => {
+    const res = await importCsv(
+      [
+        "Name,Price,Category,Description",
+        "Speaker,80,Electronics,Bluetooth",
+        "Chair,free,Furniture,",
+        "Bookshelf,120.5,furniture,",
+        ",10,Toys,",
+        "Novel,15,Books",
+      ].join("\n")
+    );
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.summary).toEqual({ rows: 5, created: 1, updated: 0, failed: 4 });
+    expect(res.body.errors.map((error) => error.row)).toEqual([3, 4, 5, 6]);
+    expect(res.body.errors[0]).toMatchObject({
+      line: 3,
+      message: expect.any(String),
+      details: { price: "Item price is required and must be a positive number." },
+    });
+    expect(res.body.errors[1].details).toHaveProperty("category");
+    expect(res.body.errors[3].message).toEqual("Row has 3 cells; the header has 4.");
+
+    expect(store._commit).toHaveBeenCalledTimes(1);
+    expect(await store.get(3)).toEqual({
+      id: 3,
+      name: "Speaker",
+      price: 80,
+      category: "Electronics",
+      description: "Bluetooth",
+    });
+  });
+
+  test("dry runs check rows without writing", async () => {
+    const res = await importCsv(
+      "id,name,category,price\n1,Laptop Pro,Electronics,1500\n,Lamp,Home,20\n99,Ghost,Home,5\n",
+      "?mode=upsert&dryRun=true"
+    );
+
+    expect(res.body).toEqual({
+      mode: "upsert",
+      dryRun: true,
+      summary: { rows: 3, created: 1, updated: 1, failed: 1 },
+      errors: [
+        { row: 4, line: 4, id: "99", message: "No item has id 99. Leave id empty to create a new item." },
+      ],
+    });
+    expect(store.bulk).not.toHaveBeenCalled();
+    expect(await store.list()).toEqual(catalogue);
+  });
+
+  test("upserts by id, keeping values of empty cells", async () => {
+    const res = await importCsv(
+      "id,name,category,price,description\n1,Laptop Pro,Electronics,1500,\n,Lamp,Home,20,Warm light\n",
+      "?mode=upsert"
+    );
+
+    expect(res.body.summary).toEqual({ rows: 2, created: 1, updated: 1, failed: 0 });
+    expect(await store.get(1)).toEqual({
+      id: 1,
+      name: "Laptop Pro",
+      category: "Electronics",
+      price: 1500,
+      description: "14 inch",
+    });
+    expect(await store.get(3)).toMatchObject({ name: "Lamp" });
+    expect(store._commit).toHaveBeenCalledTimes(1);
+  });
+
+  test("updates only the cells given for rows with an id", async () => {
+    let res = await importCsv("id,name,category,price\n1,,,2999\n", "?mode=upsert");
+    expect(res.body.summary).toEqual({ rows: 1, created: 0, updated: 1, failed: 0 });
+
+    res = await importCsv("id,price\n2,275\n,20\n", "?mode=upsert");
+    expect(res.body.summary).toEqual({ rows: 2, created: 0, updated: 1, failed: 1 });
+    expect(res.body.errors[0]).toMatchObject({
+      row: 3,
+      details: expect.objectContaining({ name: expect.any(String) }),
+    });
+
+    expect(await store.list()).toEqual([
+      { ...catalogue[0], price: 2999 },
+      { ...catalogue[1], price: 275 },
+    ]);
+  });
+
+  test("reports unknown and repeated ids in upsert mode", async () => {
+    const res = await importCsv(
+      "id,name,category,price\n2,Desk,Furniture,250\n2,Desk,Furniture,260\n42,Lamp,Home,20\n",
+      "?mode=upsert"
+    );
+
+    expect(res.body.summary).toEqual({ rows: 3, created: 0, updated: 1, failed: 2 });
+    expect(res.body.errors.map((error) => error.message)).toEqual([
+      "Item 2 appears more than once.",
+      "No item has id 42. Leave id empty to create a new item.",
+    ]);
+    expect(await store.get(2)).toMatchObject({ price: 250 });
+  });
+
+  test("rejects unusable headers before reading data", async () => {
+    const cases = [
+      ["name,colour,price,category\n", "Unknown columns: colour. Columns are: name, price, category, description."],
+      ["name,price\n", "Missing columns: category."],
+      ["id,name,price,category\n", "The id column is only allowed with mode=upsert."],
+      ["name,name,price,category\n", "Repeated columns: name."],
+      ["", "The CSV must start with a header row."],
+    ];
+    for (const [csv, reason] of cases) {
+      const res = await importCsv(csv);
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.details).toEqual({ header: reason });
+    }
+    expect(store.bulk).not.toHaveBeenCalled();
+  });
+
+  test("rejects bodies that are not CSV and invalid modes", async () => {
+    let res = await request(app).post("/api/items/import").send({ name: "Lamp" });
+    expect(res.statusCode).toEqual(415);
+    expect(res.body.code).toEqual("UNSUPPORTED_MEDIA_TYPE");
+
+    res = await importCsv("name,price,category\n", "?mode=replace");
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.details).toEqual({ mode: "Must be one of: append, upsert." });
+  });
+});
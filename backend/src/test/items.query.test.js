@@ -0,0 +1,616 @@
+const request = require("supertest");
+const express = require("express");
+const itemsRouter = require("../routes/items");
+const { errorHandler } = require("../middleware/errorHandler");
+const { MemoryStore, setStore } = require("../storage");
+
+// Query features of GET /api/items beyond plain pagination and search.
+// The fixture has categories and tied prices so sort tie-breaking is observable.
+const catalogue = [
+  { id: 1, name: "Laptop", category: "Electronics", price: 1200 },
+  { id: 2, name: "desk", category: "Furniture", price: 300 },
+  { id: 3, name: "Mouse", category: "Electronics", price: 25 },
+  { id: 4, name: "Chair", category: "Furniture", price: 150 },
+  { id: 5, name: "Monitor", category: "Electronics", price: 300 },
+  { id: 6, name: "Novel", category: "Books", price: 15 },
+];
+
+let store;
+
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use("/api/items", itemsRouter);
+  app.use(errorHandler);
+  return app;
+};
+
+let app;
+
+beforeEach(() => {
+  app = createApp();
+
+  store = new MemoryStore(catalogue);
+  jest.spyOn(store, "list");
+  setStore(store);
+});
+
+const ids = (res) => res.body.items.map((item) => item.id);
+
+// --- Sorting ---
+
+describe("GET /api/items - sorting", () => {
+  test("keeps storage order and reports a null sort by default", async () => {
+    const res = await request(app).get("/api/items?limit=10");
+
+    expect(ids(res)).toEqual([1, 2, 3, 4, 5, 6]);
+    expect(res.body.sort).toBeNull();
+  });
+
+  test("sorts by a single field, ascending by default", async () => {
+    const res = await request(app).get("/api/items?sort=price&limit=10");
+
+    expect(ids(res)).toEqual([6, 3, 4, 2, 5, 1]);
+    expect(res.body.sort).toEqual("price");
+  });
+
+  test("applies `order=desc` and keeps storage order between ties", async () => {
+    const res = await request(app).get("/api/items?sort=price&order=desc&limit=10");
+
+    expect(ids(res)).toEqual([1, 2, 5, 4, 3, 6]);
+    expect(res.body.sort).toEqual("-price");
+  });
+
+  test("compares names case-insensitively", async () => {
+    const res = await request(app).get("/api/items?sort=name&limit=10");
+
+    expect(res.body.items.map((item) => item.name)).toEqual([
+      "Chair",
+      "desk",
+      "Laptop",
+      "Monitor",
+      "Mouse",
+      "Novel",
+    ]);
+  });
+
+  test("supports multiple keys with per-key direction", async () => {
+    const res = await request(app).get("/api/items?sort=category,-price&limit=10");
+
+    expect(ids(res)).toEqual([6, 1, 5, 3, 2, 4]);
+    expect(res.body.sort).toEqual("category,-price");
+  });
+
+  test("sorts after the q filter and before pagination", async () => {
+    const res = await request(app).get("/api/items?q=electronics&sort=-price&page=2&limit=2");
+
+    // Matches Laptop, Mouse, Monitor -> by price desc: Laptop, Monitor, Mouse
+    expect(ids(res)).toEqual([3]);
+    expect(res.body).toMatchObject({ totalItems: 3, currentPage: 2, hasNextPage: false });
+  });
+
+  test("rejects fields that are not sortable", async () => {
+    const res = await request(app).get("/api/items?sort=price,description");
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.code).toEqual("VALIDATION_ERROR");
+    expect(res.body.details).toEqual({ sort: "Cannot sort by 'description'." });
+    expect(store.list).not.toHaveBeenCalled();
+  });
+
+  test("rejects unknown orders", async () => {
+    const res = await request(app).get("/api/items?sort=price&order=up");
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.details).toEqual({ order: "Must be 'asc' or 'desc'." });
+    expect(store.list).not.toHaveBeenCalled();
+  });
+});
+
+// --- Full-text search ---
+
+describe("GET /api/items - search", () => {
+  test("matches name, category and description words and ranks by relevance", async () => {
+    const res = await request(app).get("/api/items?q=electronics&limit=10");
+
+    expect(ids(res)).toEqual([1, 3, 5]);
+    expect(res.body.items[0]).toEqual({ ...catalogue[0], score: expect.any(Number) });
+    expect(res.body.sort).toEqual("-score");
+  });
+
+  test("orders better matches first", async () => {
+    store = new MemoryStore([
+      { id: 1, name: "Desk Lamp", category: "Home", price: 20, description: "For any desk" },
+      { id: 2, name: "Standing Desk", category: "Furniture", price: 400 },
+      { id: 3, name: "Lamp", category: "Home", price: 15, description: "Fits a desk" },
+    ]);
+    setStore(store);
+
+    const res = await request(app).get("/api/items?q=desk&limit=10");
+
+    // Name matches outrank description matches; a second occurrence adds to the score
+    expect(ids(res)).toEqual([1, 2, 3]);
+    const [first, second, third] = res.body.items.map((item) => item.score);
+    expect(first).toBeGreaterThan(second);
+    expect(second).toBeGreaterThan(third);
+  });
+
+  test("combines words with AND and matches prefixes", async () => {
+    const res = await request(app).get("/api/items?q=furn%20ch&limit=10");
+
+    expect(ids(res)).toEqual([4]);
+  });
+
+  test("sees items created after the index was built", async () => {
+    await request(app).get("/api/items?q=laptop");
+    await store.create({ name: "Laptop Sleeve", category: "Electronics", price: 20 });
+
+    const res = await request(app).get("/api/items?q=sleeve");
+
+    expect(res.body.items.map((item) => item.name)).toEqual(["Laptop Sleeve"]);
+  });
+
+  test("tolerates typos and suggests corrections when there are few results", async () => {
+    const res = await request(app).get("/api/items?q=monitr");
+
+    expect(ids(res)).toEqual([5]);
+    expect(res.body.suggestions).toEqual(["monitor"]);
+  });
+
+  test("returns an empty suggestions array when nothing is close", async () => {
+    const res = await request(app).get("/api/items?q=xylophone");
+
+    expect(res.body.items).toEqual([]);
+    expect(res.body.suggestions).toEqual([]);
+  });
+
+  test("skips suggestions when a search has enough results", async () => {
+    const res = await request(app).get("/api/items?q=electronic");
+
+    expect(res.body.totalItems).toEqual(3);
+    expect(res.body.suggestions).toEqual([]);
+  });
+
+  test("only searches include suggestions", async () => {
+    const res = await request(app).get("/api/items");
+
+    expect(res.body).not.toHaveProperty("suggestions");
+  });
+
+  test("an explicit sort overrides relevance order", async () => {
+    const res = await request(app).get("/api/items?q=electronics&sort=price&limit=10");
+
+    expect(ids(res)).toEqual([3, 5, 1]);
+    expect(res.body.sort).toEqual("price");
+  });
+});
+
+// --- Highlighting ---
+
+describe("GET /api/items - highlighting", () => {
+  test("adds match ranges to every returned item when asked", async () => {
+    const res = await request(app).get("/api/items?q=mon&highlight=true&limit=10");
+
+    expect(res.body.items).toEqual([
+      {
+        ...catalogue[4],
+        score: expect.any(Number),
+        highlights: [{ field: "name", start: 0, end: 3 }],
+      },
+    ]);
+  });
+
+  test("leaves items untouched without highlight=true", async () => {
+    const res = await request(app).get("/api/items?q=monitor");
+
+    expect(res.body.items[0]).not.toHaveProperty("highlights");
+  });
+
+  test("returns empty ranges without a query, also in cursor mode", async () => {
+    const res = await request(app).get("/api/items?cursor=&highlight=1&limit=1");
+
+    expect(res.body.items[0].highlights).toEqual([]);
+  });
+
+  test("highlights a single item for the detail page", async () => {
+    const res = await request(app).get("/api/items/4?q=chair&highlight=true");
+
+    expect(res.body).toEqual({ ...catalogue[3], highlights: [{ field: "name", start: 0, end: 5 }] });
+  });
+
+  test("rejects values other than true or false", async () => {
+    let res = await request(app).get("/api/items?q=desk&highlight=yes");
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.details).toEqual({ highlight: "Must be 'true' or 'false'." });
+
+    res = await request(app).get("/api/items/1?highlight=maybe");
+    expect(res.statusCode).toEqual(400);
+  });
+});
+
+// --- Filtering ---
+
+describe("GET /api/items - filtering", () => {
+  test("filters by a single category, case-insensitively", async () => {
+    const res = await request(app).get("/api/items?category=furniture&limit=10");
+
+    expect(ids(res)).toEqual([2, 4]);
+    expect(res.body.filters).toEqual({ category: ["Furniture"] });
+  });
+
+  test("accepts a comma-separated list of categories", async () => {
+    const res = await request(app).get("/api/items?category=Books,Furniture&limit=10");
+
+    expect(ids(res)).toEqual([2, 4, 6]);
+    expect(res.body.filters).toEqual({ category: ["Books", "Furniture"] });
+  });
+
+  test("applies an inclusive price range", async () => {
+    const res = await request(app).get("/api/items?minPrice=25&maxPrice=300&limit=10");
+
+    expect(ids(res)).toEqual([2, 3, 4, 5]);
+    expect(res.body.filters).toEqual({ minPrice: 25, maxPrice: 300 });
+  });
+
+  test("combines filters with q, sort and pagination", async () => {
+    const res = await request(app).get(
+      "/api/items?q=mo&category=Electronics&maxPrice=500&sort=-price&limit=1"
+    );
+
+    // Electronics matching "mo" up to 500: Monitor (300), Mouse (25)
+    expect(ids(res)).toEqual([5]);
+    expect(res.body).toMatchObject({ totalItems: 2, totalPages: 2 });
+    expect(res.body.filters).toEqual({ q: "mo", category: ["Electronics"], maxPrice: 500 });
+  });
+
+  test("reports no applied filters as an empty object", async () => {
+    const res = await request(app).get("/api/items?category=&minPrice=");
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.filters).toEqual({});
+    expect(res.body.totalItems).toEqual(catalogue.length);
+  });
+
+  test("returns 400 with every invalid filter", async () => {
+    const res = await request(app).get("/api/items?category=Food&minPrice=cheap&maxPrice=-1");
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.code).toEqual("VALIDATION_ERROR");
+    expect(res.body.message).toEqual(
+      "Invalid filter parameters. Check category, minPrice and maxPrice."
+    );
+    expect(res.body.details).toEqual({
+      category: expect.stringContaining("Must be one of: Electronics"),
+      minPrice: "Must be a non-negative number.",
+      maxPrice: "Must be a non-negative number.",
+    });
+    expect(store.list).not.toHaveBeenCalled();
+  });
+
+  test("returns 400 when minPrice is above maxPrice", async () => {
+    const res = await request(app).get("/api/items?minPrice=50&maxPrice=10");
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.details).toEqual({ maxPrice: "Must be greater than or equal to minPrice." });
+  });
+});
+
+// --- Cursor pagination ---
+
+describe("GET /api/items - cursor pagination", () => {
+  // Follows nextCursor from the first page to the end, collecting item ids.
+  const walk = async (query) => {
+    const seen = [];
+    let res = await request(app).get(`/api/items?cursor=&${query}`);
+    seen.push(...ids(res));
+    while (res.body.nextCursor) {
+      res = await request(app).get(`/api/items?cursor=${res.body.nextCursor}&${query}`);
+      seen.push(...ids(res));
+    }
+    return seen;
+  };
+
+  test("returns the first page with cursor metadata instead of page numbers", async () => {
+    const res = await request(app).get("/api/items?cursor=&limit=2");
+
+    expect(res.statusCode).toEqual(200);
+    expect(ids(res)).toEqual([1, 2]);
+    expect(res.body).toMatchObject({
+      itemsPerPage: 2,
+      totalItems: 6,
+      hasPreviousPage: false,
+      hasNextPage: true,
+      prevCursor: null,
+      sort: "id",
+    });
+    expect(typeof res.body.nextCursor).toBe("string");
+    expect(res.body).not.toHaveProperty("currentPage");
+  });
+
+  test("walks every item exactly once, in sort order", async () => {
+    expect(await walk("limit=4&sort=-price")).toEqual([1, 2, 5, 4, 3, 6]);
+    expect(await walk("limit=1&category=Electronics")).toEqual([1, 3, 5]);
+  });
+
+  test("goes back with prevCursor", async () => {
+    const first = await request(app).get("/api/items?cursor=&limit=2&sort=name");
+    const second = await request(app).get(
+      `/api/items?cursor=${first.body.nextCursor}&limit=2&sort=name`
+    );
+    const back = await request(app).get(
+      `/api/items?cursor=${second.body.prevCursor}&limit=2&sort=name`
+    );
+
+    expect(ids(back)).toEqual(ids(first));
+    expect(back.body.hasPreviousPage).toBe(false);
+    expect(back.body.hasNextPage).toBe(true);
+  });
+
+  test("does not repeat or skip items when an item is added before the cursor", async () => {
+    const first = await request(app).get("/api/items?cursor=&limit=3&sort=price");
+    expect(ids(first)).toEqual([6, 3, 4]);
+
+    await store.create({ name: "Pen", category: "Books", price: 1 });
+    const next = await request(app).get(
+      `/api/items?cursor=${first.body.nextCursor}&limit=3&sort=price`
+    );
+
+    expect(ids(next)).toEqual([2, 5, 1]);
+  });
+
+  test("rejects malformed cursors and cursors from another sort", async () => {
+    let res = await request(app).get("/api/items?cursor=not-a-cursor");
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.details).toHaveProperty("cursor");
+
+    const first = await request(app).get("/api/items?cursor=&limit=2&sort=price");
+    res = await request(app).get(`/api/items?cursor=${first.body.nextCursor}&sort=name`);
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.details).toEqual({ cursor: "Cursor was issued for a different sort order." });
+  });
+
+  test("rejects combining page and cursor", async () => {
+    const res = await request(app).get("/api/items?cursor=&page=2");
+
+    expect(res.statusCode).toEqual(400);
+    expect(store.list).not.toHaveBeenCalled();
+  });
+});
+
+// --- Facets ---
+
+describe("GET /api/items - facets", () => {
+  test("are omitted unless requested", async () => {
+    const res = await request(app).get("/api/items");
+
+    expect(res.body).not.toHaveProperty("facets");
+  });
+
+  test("count categories and default price buckets over all items, not just the page", async () => {
+    const res = await request(app).get("/api/items?facets=category,price&limit=2");
+
+    expect(res.body.items).toHaveLength(2);
+    expect(res.body.facets).toEqual({
+      category: [
+        { value: "Electronics", count: 3 },
+        { value: "Furniture", count: 2 },
+        { value: "Books", count: 1 },
+      ],
+      price: [
+        { min: 0, max: 50, count: 2 },
+        { min: 50, max: 100, count: 0 },
+        { min: 100, max: 500, count: 3 },
+        { min: 500, max: 1000, count: 0 },
+        { min: 1000, max: null, count: 1 },
+      ],
+    });
+  });
+
+  test("are computed over the search results", async () => {
+    const res = await request(app).get("/api/items?q=electronics&facets=category");
+
+    expect(res.body.facets).toEqual({ category: [{ value: "Electronics", count: 3 }] });
+  });
+
+  test("apply every filter except their own", async () => {
+    const res = await request(app).get(
+      "/api/items?category=Furniture&maxPrice=200&facets=category,price&priceBuckets=100"
+    );
+
+    expect(ids(res)).toEqual([4]);
+    // Categories are counted under maxPrice=200, price buckets within Furniture.
+    expect(res.body.facets.category).toEqual([
+      { value: "Books", count: 1 },
+      { value: "Electronics", count: 1 },
+      { value: "Furniture", count: 1 },
+    ]);
+    expect(res.body.facets.price).toEqual([
+      { min: 0, max: 100, count: 0 },
+      { min: 100, max: null, count: 2 },
+    ]);
+  });
+
+  test("are returned in cursor mode too", async () => {
+    const res = await request(app).get("/api/items?cursor=&facets=price&priceBuckets=500");
+
+    expect(res.body.facets).toEqual({
+      price: [
+        { min: 0, max: 500, count: 5 },
+        { min: 500, max: null, count: 1 },
+      ],
+    });
+  });
+
+  test("rejects unknown facets and invalid price buckets before reading data", async () => {
+    let res = await request(app).get("/api/items?facets=category,colour");
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.details).toEqual({ facets: "Unknown facet 'colour'." });
+
+    res = await request(app).get("/api/items?facets=price&priceBuckets=100,50");
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.details).toHaveProperty("priceBuckets");
+
+    expect(store.list).not.toHaveBeenCalled();
+  });
+});
+
+// --- Autocomplete ---
+
+describe("GET /api/items/suggest", () => {
+  beforeEach(() => {
+    store = new MemoryStore([
+      { id: 1, name: "Laptop Stand", category: "Furniture", price: 40 },
+      { id: 2, name: "Laptop", category: "Electronics", price: 1200 },
+      { id: 3, name: "laptop", category: "Electronics", price: 900 },
+      { id: 4, name: "Gaming Laptop", category: "Electronics", price: 2000 },
+      { id: 5, name: "Lamp", category: "Home", price: 15 },
+      { id: 6, name: "Desk", category: "Furniture", price: 300, description: "Fits a laptop" },
+    ]);
+    jest.spyOn(store, "list");
+    setStore(store);
+  });
+
+  test("completes item names, names starting with the query first, without duplicates", async () => {
+    const res = await request(app).get("/api/items/suggest?q=lap");
+
+    expect(res.statusCode).toEqual(200);
+    // Only names count: the desk mentions a laptop in its description
+    expect(res.body).toEqual({ q: "lap", completions: ["Laptop", "Laptop Stand", "Gaming Laptop"] });
+  });
+
+  test("requires every word to match and honours limit", async () => {
+    let res = await request(app).get("/api/items/suggest?q=gaming%20lap");
+    expect(res.body.completions).toEqual(["Gaming Laptop"]);
+
+    res = await request(app).get("/api/items/suggest?q=la&limit=2");
+    expect(res.body.completions).toEqual(["Lamp", "Laptop"]);
+  });
+
+  test("returns no completions for an empty query without reading data", async () => {
+    const res = await request(app).get("/api/items/suggest?q=%20");
+
+    expect(res.body.completions).toEqual([]);
+    expect(store.list).not.toHaveBeenCalled();
+  });
+
+  test("rejects an invalid limit", async () => {
+    for (const limit of ["0", "21", "two"]) {
+      const res = await request(app).get(`/api/items/suggest?q=lap&limit=${limit}`);
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.details).toHaveProperty("limit");
+    }
+  });
+});
+
+// --- Field projection ---
+
+describe("GET /api/items - field projection", () => {
+  test("returns only the selected fields of each item", async () => {
+    const res = await request(app).get("/api/items?fields=id,name&limit=2");
+
+    expect(res.body.items).toEqual([
+      { id: 1, name: "Laptop" },
+      { id: 2, name: "desk" },
+    ]);
+    expect(res.body.totalItems).toEqual(6);
+  });
+
+  test("still sorts, filters and pages by fields that are not selected", async () => {
+    const first = await request(app).get(
+      "/api/items?fields=name&sort=price&category=Electronics&cursor=&limit=2"
+    );
+    expect(first.body.items).toEqual([{ name: "Mouse" }, { name: "Monitor" }]);
+
+    const next = await request(app).get(
+      `/api/items?fields=name&sort=price&category=Electronics&cursor=${first.body.nextCursor}&limit=2`
+    );
+    expect(next.body.items).toEqual([{ name: "Laptop" }]);
+  });
+
+  test("can select the search score and keeps requested highlights", async () => {
+    const res = await request(app).get("/api/items?q=chair&fields=id,score&highlight=true");
+
+    expect(res.body.items).toEqual([
+      { id: 4, score: expect.any(Number), highlights: [{ field: "name", start: 0, end: 5 }] },
+    ]);
+  });
+
+  test("applies to a single item", async () => {
+    const res = await request(app).get("/api/items/3?fields=name,price");
+
+    expect(res.body).toEqual({ name: "Mouse", price: 25 });
+  });
+
+  test("rejects unknown fields before reading data", async () => {
+    let res = await request(app).get("/api/items?fields=id,colour,stock");
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.details).toEqual({ fields: "Unknown fields: colour, stock." });
+    expect(store.list).not.toHaveBeenCalled();
+
+    res = await request(app).get("/api/items/1?fields=password");
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.details).toEqual({ fields: "Unknown field: password." });
+  });
+});
+
+// --- Batch fetch ---
+
+describe("GET /api/items?ids= and POST /api/items/batch-get", () => {
+  beforeEach(() => {
+    jest.spyOn(store, "getMany");
+  });
+
+  test("returns the found items in request order and lists missing ids", async () => {
+    const res = await request(app).get("/api/items?ids=5,99,1,5");
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toEqual({ items: [catalogue[4], catalogue[0]], missing: ["99"] });
+    expect(store.getMany).toHaveBeenCalledTimes(1);
+    expect(store.list).not.toHaveBeenCalled();
+  });
+
+  test("accepts ids in a POST body, with fields in the query", async () => {
+    const res = await request(app)
+      .post("/api/items/batch-get?fields=id,name")
+      .send({ ids: [3, "4", 42] });
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toEqual({
+      items: [
+        { id: 3, name: "Mouse" },
+        { id: 4, name: "Chair" },
+      ],
+      missing: [42],
+    });
+  });
+
+  test("caps the number of ids", async () => {
+    const tooMany = Array.from({ length: 101 }, (_, i) => i + 1);
+
+    let res = await request(app).post("/api/items/batch-get").send({ ids: tooMany });
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.details).toEqual({ ids: "Cannot ask for more than 100 ids at once." });
+
+    res = await request(app).get(`/api/items?ids=${tooMany.join(",")}`);
+    expect(res.statusCode).toEqual(400);
+    expect(store.getMany).not.toHaveBeenCalled();
+  });
+
+  test("rejects empty or malformed id lists", async () => {
+    for (const body of [{}, { ids: [] }, { ids: "1,2" }, { ids: [1, { id: 2 }] }]) {
+      const res = await request(app).post("/api/items/batch-get").send(body);
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.details).toHaveProperty("ids");
+    }
+
+    const res = await request(app).get("/api/items?ids=,");
+    expect(res.statusCode).toEqual(400);
+  });
+
+  test("rejects list parameters next to ids", async () => {
+    const res = await request(app).get("/api/items?ids=1,2&page=2&q=desk");
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.message).toEqual("ids cannot be combined with: page, q.");
+  });
+});
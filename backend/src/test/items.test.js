@@ -1,20 +1,13 @@
 const request = require("supertest");
 const express = require("express");
 const itemsRouter = require("../routes/items");
-
-// Mock fs.promises for file operations. This prevents tests from hitting the actual file system.
-jest.mock("fs", () => ({
-  promises: {
-    readFile: jest.fn(),
-    writeFile: jest.fn(),
-  },
-}));
+const { MemoryStore, setStore } = require("../storage");
 
 const { mockItems } = require("./mockData"); // Import mock data
 
-// Declare mockedFsPromises to hold the reference to the MOCKED fs.promises.
-// We'll assign it in beforeEach to ensure it's fresh for each test.
-let mockedFsPromises;
+// The routes read from an injected in-memory store, so tests never touch the file system.
+// We'll create it in beforeEach to ensure it's fresh for each test.
+let store;
 
 // Helper function to create a minimal Express app for testing.
 // This ensures each test runs with a fresh Express instance.
@@ -38,20 +31,14 @@ const createApp = () => {
 
 let app;
 
-// Before each test, re-initialize the app and reset all Jest mocks.
+// Before each test, re-initialize the app and inject a fresh store seeded with mockItems.
 beforeEach(() => {
   app = createApp();
-  // jest.clearAllMocks() clears call history and resets mock implementations,
-  // crucial for isolated testing.
-  jest.clearAllMocks();
-
-  // Get the mocked fs.promises here, guaranteeing Jest's mock is set up.
-  mockedFsPromises = require("fs").promises;
 
-  // Default mock behavior for readFile: always return a stringified version of mockItems.
-  mockedFsPromises.readFile.mockResolvedValue(JSON.stringify(mockItems));
-  // Default mock behavior for writeFile: always resolve successfully.
-  mockedFsPromises.writeFile.mockResolvedValue(undefined);
+  store = new MemoryStore(mockItems);
+  // Spy on list() so tests can assert how often the data was read.
+  jest.spyOn(store, "list");
+  setStore(store);
 });
 
 describe("GET /api/items - Pagination and Search", () => {
@@ -79,7 +66,7 @@ describe("GET /api/items - Pagination and Search", () => {
 
     // Expect the 'items' array within the response body to contain the first 'expectedLimit' items.
     expect(res.body.items).toEqual(mockItems.slice(0, expectedLimit));
-    expect(mockedFsPromises.readFile).toHaveBeenCalledTimes(1); // Still expects one file read.
+    expect(store.list).toHaveBeenCalledTimes(1); // Still expects one data read.
   });
 
   // Test Case: Should return filtered items based on the 'q' query parameter.
@@ -92,7 +79,10 @@ describe("GET /api/items - Pagination and Search", () => {
     );
 
     expect(res.statusCode).toEqual(200);
-    expect(res.body.items).toEqual(filtered.slice(0, expectedLimit)); // Filtered then paginated
+    // Filtered then paginated; search hits carry their relevance score
+    expect(res.body.items).toEqual(
+      filtered.slice(0, expectedLimit).map((item) => ({ ...item, score: expect.any(Number) }))
+    );
     expect(res.body).toHaveProperty("currentPage", 1);
     expect(res.body).toHaveProperty("itemsPerPage", expectedLimit);
     expect(res.body).toHaveProperty("totalItems", filtered.length); // Total filtered items
@@ -100,7 +90,7 @@ describe("GET /api/items - Pagination and Search", () => {
       "totalPages",
       Math.ceil(filtered.length / expectedLimit)
     );
-    expect(mockedFsPromises.readFile).toHaveBeenCalledTimes(1);
+    expect(store.list).toHaveBeenCalledTimes(1);
   });
 
   // Test Case: Should return paginated items based on the 'limit' query parameter.
@@ -122,19 +112,22 @@ describe("GET /api/items - Pagination and Search", () => {
       "hasNextPage",
       mockItems.length > customLimit
     );
-    expect(mockedFsPromises.readFile).toHaveBeenCalledTimes(1);
+    expect(store.list).toHaveBeenCalledTimes(1);
   });
 
   // Test Case: Should return paginated and filtered items.
   test("should return filtered and paginated items", async () => {
     const customLimit = 2;
-    const res = await request(app).get(`/api/items?q=o&limit=${customLimit}`);
+    const res = await request(app).get(`/api/items?q=mo&limit=${customLimit}`);
 
-    // First filter by 'o', then take the first 'customLimit' items
+    // First filter by words starting with 'mo', then take the first 'customLimit' items.
+    // Both hits are equally relevant, so they keep their stored order.
     const filteredByQ = mockItems.filter((item) =>
-      item.name.toLowerCase().includes("o")
-    ); // Laptop, Mouse, Keyboard, Monitor
-    const expectedPaginated = filteredByQ.slice(0, customLimit); // Laptop, Mouse
+      item.name.toLowerCase().startsWith("mo")
+    ); // Mouse, Monitor
+    const expectedPaginated = filteredByQ
+      .slice(0, customLimit)
+      .map((item) => ({ ...item, score: expect.any(Number) }));
 
     expect(res.statusCode).toEqual(200);
     expect(res.body.items).toEqual(expectedPaginated);
@@ -145,7 +138,7 @@ describe("GET /api/items - Pagination and Search", () => {
       "totalPages",
       Math.ceil(filteredByQ.length / customLimit)
     );
-    expect(mockedFsPromises.readFile).toHaveBeenCalledTimes(1);
+    expect(store.list).toHaveBeenCalledTimes(1);
   });
 
   // --- New Pagination-Specific Tests ---
@@ -172,7 +165,7 @@ describe("GET /api/items - Pagination and Search", () => {
     );
     expect(res.body).toHaveProperty("hasPreviousPage", true); // Page 2, so previous is true
     expect(res.body).toHaveProperty("hasNextPage", true); // More pages after page 2
-    expect(mockedFsPromises.readFile).toHaveBeenCalledTimes(1);
+    expect(store.list).toHaveBeenCalledTimes(1);
   });
 
   // Test Case: Should return empty array if page is out of bounds.
@@ -194,7 +187,7 @@ describe("GET /api/items - Pagination and Search", () => {
     );
     expect(res.body).toHaveProperty("hasPreviousPage", true); // Has previous pages
     expect(res.body).toHaveProperty("hasNextPage", false); // No next page
-    expect(mockedFsPromises.readFile).toHaveBeenCalledTimes(1);
+    expect(store.list).toHaveBeenCalledTimes(1);
   });
 
   // Test Case: Should handle string numbers for page/limit correctly.
@@ -204,7 +197,7 @@ describe("GET /api/items - Pagination and Search", () => {
     expect(res.body.items).toEqual(mockItems.slice(0, 3));
     expect(res.body).toHaveProperty("currentPage", 1);
     expect(res.body).toHaveProperty("itemsPerPage", 3);
-    expect(mockedFsPromises.readFile).toHaveBeenCalledTimes(1);
+    expect(store.list).toHaveBeenCalledTimes(1);
   });
 
   // Test Case: Should handle invalid limit values gracefully (as per your route logic).
@@ -221,7 +214,7 @@ describe("GET /api/items - Pagination and Search", () => {
       "Invalid page or limit parameters. Must be positive numbers."
     );
 
-    expect(mockedFsPromises.readFile).toHaveBeenCalledTimes(0); // Should not read file if params are invalid
+    expect(store.list).toHaveBeenCalledTimes(0); // Should not read data if params are invalid
   });
 
   // Test Case: Should handle invalid page values gracefully (non-numeric, negative).
@@ -238,7 +231,7 @@ describe("GET /api/items - Pagination and Search", () => {
       "Invalid page or limit parameters. Must be positive numbers."
     );
 
-    expect(mockedFsPromises.readFile).toHaveBeenCalledTimes(0); // Should not read file if params are invalid
+    expect(store.list).toHaveBeenCalledTimes(0); // Should not read data if params are invalid
   });
 
   // --- Remaining ERROR CASES (from your original test, with slight adjustments) ---
@@ -249,35 +242,23 @@ describe("GET /api/items - Pagination and Search", () => {
     expect(res.statusCode).toEqual(200);
     expect(res.body.items).toEqual([]); // Ensure it's res.body.items
     expect(res.body.totalItems).toEqual(0); // Also check totalItems
-    expect(mockedFsPromises.readFile).toHaveBeenCalledTimes(1);
+    expect(store.list).toHaveBeenCalledTimes(1);
   });
 
   test("should handle file read error gracefully", async () => {
-    mockedFsPromises.readFile.mockRejectedValueOnce(
-      new Error("Failed to read items data")
-    );
+    store.list.mockRejectedValueOnce(new Error("Failed to read items data"));
 
     const res = await request(app).get("/api/items");
     expect(res.statusCode).toEqual(500);
     expect(res.body.message).toEqual("Failed to read items data");
-    expect(mockedFsPromises.readFile).toHaveBeenCalledTimes(1);
+    expect(store.list).toHaveBeenCalledTimes(1);
   });
 
-  test("should handle invalid JSON data in file", async () => {
-    mockedFsPromises.readFile.mockResolvedValueOnce('{"id":1, "name":"Test"');
-
-    const res = await request(app).get("/api/items");
-    expect(res.statusCode).toEqual(500);
-    expect(res.body.message).toContain("JSON");
-    expect(mockedFsPromises.readFile).toHaveBeenCalledTimes(1);
-  });
+  // Corrupt or missing data files are covered by jsonFileStore.test.js.
 
-  test("should return empty array if data file does not exist (ENOENT)", async () => {
-    const noEntError = new Error("No such file or directory");
-    noEntError.code = "ENOENT";
-    mockedFsPromises.readFile.mockRejectedValueOnce(noEntError);
+  test("should return an empty paginated response when the store is empty", async () => {
+    setStore(new MemoryStore([]));
 
-    // This test now expects a full paginated response object, even if items are empty.
     const expectedLimit = 2; // Default limit
     const res = await request(app).get("/api/items");
     expect(res.statusCode).toEqual(200);
@@ -286,6 +267,5 @@ describe("GET /api/items - Pagination and Search", () => {
     expect(res.body).toHaveProperty("itemsPerPage", expectedLimit);
     expect(res.body).toHaveProperty("totalItems", 0);
     expect(res.body).toHaveProperty("totalPages", 0);
-    expect(mockedFsPromises.readFile).toHaveBeenCalledTimes(1);
   });
 });
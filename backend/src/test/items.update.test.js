@@ -0,0 +1,162 @@
+const request = require("supertest");
+const express = require("express");
+const itemsRouter = require("../routes/items");
+const { errorHandler } = require("../middleware/errorHandler");
+const { MemoryStore, setStore } = require("../storage");
+const { mockItems } = require("./mockData");
+
+// --- In-memory store injected in place of the data file ---
+let store;
+
+// Helper function to create a minimal Express app using the real error middleware
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use("/api/items", itemsRouter);
+  app.use(errorHandler);
+  return app;
+};
+
+// Returns the items currently held by the store
+const storedItems = () => store.list();
+
+let app;
+
+beforeEach(() => {
+  app = createApp();
+
+  store = new MemoryStore(mockItems);
+  jest.spyOn(store, "_load"); // Reads of existing data
+  jest.spyOn(store, "_commit"); // Persisted changes
+  setStore(store);
+});
+
+// --- Test Suite for PUT /api/items/:id ---
+
+describe("PUT /api/items/:id", () => {
+  const replacement = {
+    name: "Gaming Laptop",
+    price: 1800,
+    category: "Electronics",
+    description: "Fast laptop",
+  };
+
+  test("should replace the item, keep its id and persist the change", async () => {
+    const res = await request(app).put("/api/items/1").send(replacement);
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toEqual({ ...replacement, id: 1 });
+
+    expect(store._commit).toHaveBeenCalledTimes(1);
+    const items = await storedItems();
+    expect(items).toHaveLength(mockItems.length);
+    expect(items[0]).toEqual({ ...replacement, id: 1 });
+  });
+
+  test("should apply the POST validation rules to the payload", async () => {
+    const res = await request(app)
+      .put("/api/items/1")
+      .send({ name: "Gaming Laptop", category: "Electronics" });
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.code).toEqual("VALIDATION_ERROR");
+    expect(res.body.message).toEqual(
+      "Item price is required and must be a positive number."
+    );
+    expect(store._load).not.toHaveBeenCalled();
+  });
+
+  test("should reject a body id that differs from the URL id", async () => {
+    const res = await request(app)
+      .put("/api/items/1")
+      .send({ ...replacement, id: 2 });
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.details).toHaveProperty("id");
+    expect(store._commit).not.toHaveBeenCalled();
+  });
+
+  test("should return 404 for an unknown id", async () => {
+    const res = await request(app).put("/api/items/999").send(replacement);
+
+    expect(res.statusCode).toEqual(404);
+    expect(res.body).toMatchObject({ code: "NOT_FOUND", message: "Item not found" });
+    expect(store._commit).not.toHaveBeenCalled();
+  });
+});
+
+// --- Test Suite for PATCH /api/items/:id ---
+
+describe("PATCH /api/items/:id", () => {
+  test("should update only the supplied fields", async () => {
+    const res = await request(app).patch("/api/items/2").send({ price: 30 });
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toEqual({ ...mockItems[1], price: 30 });
+    expect((await storedItems())[1]).toEqual({ ...mockItems[1], price: 30 });
+  });
+
+  test("should validate the supplied fields", async () => {
+    const res = await request(app).patch("/api/items/2").send({ name: "  " });
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.message).toEqual(
+      "Item name is required and must be a non-empty string."
+    );
+    expect(store._commit).not.toHaveBeenCalled();
+  });
+
+  test("should reject unknown fields", async () => {
+    const res = await request(app).patch("/api/items/2").send({ colour: "red" });
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.details).toEqual({ colour: "Unknown field 'colour'." });
+  });
+
+  test("should return 400 for an empty patch", async () => {
+    const res = await request(app).patch("/api/items/2").send({});
+
+    expect(res.statusCode).toEqual(400);
+    expect(store._load).not.toHaveBeenCalled();
+  });
+
+  test("should return 404 for an unknown id", async () => {
+    const res = await request(app).patch("/api/items/999").send({ price: 30 });
+
+    expect(res.statusCode).toEqual(404);
+    expect(store._commit).not.toHaveBeenCalled();
+  });
+});
+
+// --- Test Suite for DELETE /api/items/:id ---
+
+describe("DELETE /api/items/:id", () => {
+  test("should remove the item and return 204", async () => {
+    const res = await request(app).delete("/api/items/3");
+
+    expect(res.statusCode).toEqual(204);
+    expect(res.body).toEqual({});
+    const items = await storedItems();
+    expect(items).toHaveLength(mockItems.length - 1);
+    expect(items.find((i) => i.id === 3)).toBeUndefined();
+  });
+
+  test("should return 404 for an unknown id", async () => {
+    const res = await request(app).delete("/api/items/999");
+
+    expect(res.statusCode).toEqual(404);
+    expect(res.body.code).toEqual("NOT_FOUND");
+    expect(store._commit).not.toHaveBeenCalled();
+  });
+
+  test("should surface write failures as 500", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    store._commit.mockRejectedValueOnce(new Error("Disk full"));
+
+    const res = await request(app).delete("/api/items/3");
+
+    expect(res.statusCode).toEqual(500);
+    expect(res.body.message).toEqual("Disk full");
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,144 @@
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const request = require("supertest");
+const express = require("express");
+const itemsRouter = require("../routes/items");
+const { errorHandler, StorageError } = require("../middleware/errorHandler");
+const { JsonFileStore, setStore } = require("../storage");
+const { createDataCache } = require("../utils/dataCache");
+const { mockItems } = require("./mockData");
+
+// File-specific behaviour of the JSON adapter, exercised against real temp files.
+let dir;
+let filePath;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "items-json-"));
+  filePath = path.join(dir, "items.json");
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+const readJson = async (file) => JSON.parse(await fs.readFile(file, "utf8"));
+
+describe("JsonFileStore", () => {
+  test("should persist changes to the file and mirror them to .bak", async () => {
+    await fs.writeFile(filePath, JSON.stringify(mockItems));
+    const store = new JsonFileStore({ filePath });
+
+    await store.create({ name: "Speaker", price: 80 });
+
+    expect(await readJson(filePath)).toHaveLength(mockItems.length + 1);
+    expect(await readJson(`${filePath}.bak`)).toEqual(await readJson(filePath));
+  });
+
+  test("should recover the latest committed state after the file is corrupted", async () => {
+    await fs.writeFile(filePath, JSON.stringify(mockItems));
+    const store = new JsonFileStore({ filePath });
+    const created = await store.create({ name: "Speaker", price: 80 });
+
+    await fs.writeFile(filePath, "[{");
+    const restarted = new JsonFileStore({ filePath });
+    await restarted.open();
+    await restarted.close();
+
+    expect(await restarted.list()).toEqual([...mockItems, created]);
+  });
+
+  test("should treat a missing file as an empty store and create it on first write", async () => {
+    const store = new JsonFileStore({ filePath });
+
+    expect(await store.list()).toEqual([]);
+    await store.create({ name: "Speaker", price: 80 });
+    expect(await readJson(filePath)).toEqual([{ id: 1, name: "Speaker", price: 80 }]);
+  });
+
+  test("should reject reads of a corrupt file and never overwrite it", async () => {
+    await fs.writeFile(filePath, '{"id":1, "name":"Test"');
+    const store = new JsonFileStore({ filePath });
+
+    const err = await store.list().catch((e) => e);
+    expect(err).toBeInstanceOf(StorageError);
+    expect(err.cause).toBeInstanceOf(SyntaxError);
+    await expect(store.create({ name: "Speaker", price: 80 })).rejects.toThrow(StorageError);
+    expect(await fs.readFile(filePath, "utf8")).toEqual('{"id":1, "name":"Test"');
+  });
+
+  test("open() should restore a corrupt file from its backup", async () => {
+    await fs.writeFile(filePath, "[{");
+    await fs.writeFile(`${filePath}.bak`, JSON.stringify(mockItems));
+    const store = new JsonFileStore({ filePath });
+
+    await store.open();
+    await store.close();
+
+    expect(await store.list()).toEqual(mockItems);
+  });
+
+  test("should serve repeated reads from its cache and refresh it on writes", async () => {
+    await fs.writeFile(filePath, JSON.stringify(mockItems));
+    const store = new JsonFileStore({ filePath, cache: createDataCache({ enabled: true }) });
+    jest.spyOn(fs, "readFile");
+
+    await store.list();
+    await store.get(1);
+    await store.create({ name: "Speaker", price: 80 });
+    const items = await store.list();
+
+    expect(items).toHaveLength(mockItems.length + 1);
+    expect(fs.readFile).toHaveBeenCalledTimes(1);
+    expect(store.cacheStats()).toMatchObject({ hits: 3, misses: 1 });
+  });
+
+  test("should never copy a file corrupted behind its cache into the backup", async () => {
+    await fs.writeFile(filePath, JSON.stringify(mockItems));
+    const store = new JsonFileStore({ filePath, cache: createDataCache({ enabled: true }) });
+    await store.list();
+
+    await fs.writeFile(filePath, "[{");
+    await store.create({ name: "Speaker", price: 80 });
+
+    expect(await readJson(`${filePath}.bak`)).toHaveLength(mockItems.length + 1);
+    expect(await readJson(filePath)).toHaveLength(mockItems.length + 1);
+  });
+});
+
+describe("items routes backed by a JSON file", () => {
+  const createApp = () => {
+    const app = express();
+    app.use(express.json());
+    app.use("/api/items", itemsRouter);
+    app.use(errorHandler);
+    return app;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    setStore(new JsonFileStore({ filePath }));
+  });
+
+  test("should return 500 STORAGE_ERROR for invalid JSON data", async () => {
+    await fs.writeFile(filePath, '{"invalid": json');
+
+    let res = await request(createApp()).get("/api/items");
+    expect(res.statusCode).toEqual(500);
+    expect(res.body).toMatchObject({ code: "STORAGE_ERROR", message: "Could not read the data file." });
+
+    res = await request(createApp()).get("/api/items/1");
+    expect(res.statusCode).toEqual(500);
+  });
+
+  test("should return an empty list and 404s when the data file does not exist (ENOENT)", async () => {
+    let res = await request(createApp()).get("/api/items");
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toMatchObject({ items: [], totalItems: 0, totalPages: 0 });
+
+    res = await request(createApp()).get("/api/items/1");
+    expect(res.statusCode).toEqual(404);
+  });
+});
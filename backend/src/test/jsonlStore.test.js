@@ -0,0 +1,162 @@
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { JsonlStore } = require("../storage");
+const { migrateToJsonl } = require("../scripts/migrateToJsonl");
+const { mockItems } = require("./mockData");
+
+// The JSON Lines adapter against real temp files: log replay, crash recovery and compaction.
+let dir;
+let logPath;
+let snapshotPath;
+let store;
+
+// Parsed records currently in the log
+const readLog = async () =>
+  (await fs.readFile(logPath, "utf8"))
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+
+const openStore = (options) => {
+  store = new JsonlStore({ filePath: logPath, compactIntervalMs: 0, ...options });
+  return store;
+};
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "items-jsonl-"));
+  logPath = path.join(dir, "items.jsonl");
+  snapshotPath = path.join(dir, "items.snapshot.json");
+  await fs.writeFile(snapshotPath, JSON.stringify(mockItems));
+});
+
+afterEach(async () => {
+  if (store) await store.close();
+  store = null;
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+describe("JsonlStore", () => {
+  test("appends one record per mutation and leaves the snapshot alone", async () => {
+    openStore();
+    const created = await store.create({ name: "Speaker", price: 80 });
+    await store.update(created.id, { price: 70 });
+    await store.delete(1);
+
+    expect(await readLog()).toEqual([
+      expect.objectContaining({ op: "create", id: 6, item: { id: 6, name: "Speaker", price: 80 } }),
+      expect.objectContaining({ op: "update", id: 6, item: { id: 6, name: "Speaker", price: 70 } }),
+      expect.objectContaining({ op: "delete", id: 1 }),
+    ]);
+    expect(JSON.parse(await fs.readFile(snapshotPath, "utf8"))).toEqual(mockItems);
+  });
+
+  test("rebuilds the same state from snapshot and log on the next open", async () => {
+    openStore();
+    await store.create({ name: "Speaker", price: 80 });
+    await store.update(2, { price: 30 });
+    await store.delete(3);
+    const before = await store.list();
+    await store.close();
+
+    openStore();
+    expect(await store.list()).toEqual(before);
+    // The id sequence continues after the replayed items
+    expect((await store.create({ name: "Cable", price: 5 })).id).toEqual(7);
+  });
+
+  test("drops a torn last line and keeps appending cleanly", async () => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    const good = JSON.stringify({ op: "create", id: 6, item: { id: 6, name: "Speaker" } });
+    await fs.writeFile(logPath, `${good}\n{"op":"create","id":7,"ite`);
+
+    openStore();
+    expect(await store.get(6)).toEqual({ id: 6, name: "Speaker" });
+    expect(await store.get(7)).toBeNull();
+    expect(console.warn).toHaveBeenCalled();
+
+    await store.delete(6);
+    expect((await readLog()).map((record) => record.op)).toEqual(["create", "delete"]);
+    console.warn.mockRestore();
+  });
+
+  test("refuses to open a log corrupted before its last line", async () => {
+    await fs.writeFile(logPath, `not json\n${JSON.stringify({ op: "delete", id: 1 })}\n`);
+
+    openStore();
+    await expect(store.list()).rejects.toMatchObject({ code: "STORAGE_ERROR" });
+  });
+
+  test("reports an unreadable snapshot or a failed append as a StorageError", async () => {
+    await fs.writeFile(snapshotPath, "[{");
+    openStore();
+    await expect(store.list()).rejects.toMatchObject({
+      code: "STORAGE_ERROR",
+      message: "Could not read the snapshot file.",
+    });
+
+    await fs.writeFile(snapshotPath, JSON.stringify(mockItems));
+    await store.open();
+    jest.spyOn(store.log, "write").mockRejectedValueOnce(new Error("ENOSPC: no space left"));
+    await expect(store.create({ name: "Speaker", price: 80 })).rejects.toMatchObject({
+      code: "STORAGE_ERROR",
+      message: "Could not append to the log file.",
+    });
+    expect(await store.list()).toEqual(mockItems);
+  });
+
+  test("compacts into the snapshot after `compactEvery` records", async () => {
+    openStore({ compactEvery: 3 });
+    await store.create({ name: "Speaker", price: 80 });
+    await store.delete(1);
+    expect(await readLog()).toHaveLength(2);
+
+    await store.update(2, { price: 30 });
+
+    expect(await readLog()).toEqual([]);
+    const snapshot = JSON.parse(await fs.readFile(snapshotPath, "utf8"));
+    expect(snapshot).toEqual(await store.list());
+    expect(snapshot.find((item) => item.id === 1)).toBeUndefined();
+  });
+
+  test("replaying a log already folded into the snapshot is harmless", async () => {
+    // Simulates a crash after the snapshot was written but before the log was emptied.
+    openStore();
+    await store.create({ name: "Speaker", price: 80 });
+    await store.delete(2);
+    const log = await fs.readFile(logPath, "utf8");
+    await store.compact();
+    await store.close();
+    await fs.writeFile(logPath, log);
+
+    openStore();
+    const items = await store.list();
+    expect(items).toHaveLength(mockItems.length);
+    expect(items.filter((item) => item.id === 6)).toHaveLength(1);
+  });
+});
+
+describe("migrateToJsonl", () => {
+  test("turns a JSON data file into a snapshot with an empty log", async () => {
+    const from = path.join(dir, "items.json");
+    await fs.writeFile(from, JSON.stringify(mockItems));
+    await fs.rm(snapshotPath);
+
+    const result = await migrateToJsonl({ from, to: logPath });
+
+    expect(result.count).toEqual(mockItems.length);
+    expect(await fs.readFile(logPath, "utf8")).toEqual("");
+    openStore();
+    expect(await store.list()).toEqual(mockItems);
+  });
+
+  test("refuses to overwrite existing files unless forced", async () => {
+    const from = path.join(dir, "items.json");
+    await fs.writeFile(from, "[]");
+
+    await expect(migrateToJsonl({ from, to: logPath })).rejects.toThrow(/already exists/);
+    await expect(migrateToJsonl({ from, to: logPath, force: true })).resolves.toMatchObject({
+      count: 0,
+    });
+  });
+});
@@ -0,0 +1,234 @@
+const { tokenize } = require("../search/tokenize");
+const { editDistance, allowedEdits } = require("../search/editDistance");
+const { InvertedIndex } = require("../search/invertedIndex");
+const { getSearchIndex, prepareSearchIndex, searchItems } = require("../search");
+const { closeWorkerPool } = require("../workers");
+const config = require("../config");
+const { highlightMatches } = require("../search/highlight");
+const { MemoryStore } = require("../storage");
+
+const items = [
+  { id: 1, name: "Laptop Pro", category: "Electronics", description: "Fast laptop for work" },
+  { id: 2, name: "Laptop Stand", category: "Furniture", description: "Aluminium stand" },
+  { id: 3, name: "Standing Desk", category: "Furniture", description: "Electric desk" },
+  { id: 4, name: "Noise Cancelling Headphones", category: "Electronics" },
+];
+
+const searchIds = (index, query, options) => index.search(query, options).map((hit) => hit.id);
+
+describe("tokenize", () => {
+  test("splits on anything but letters and digits, lower-cases, and keeps offsets", () => {
+    expect(tokenize("USB-C Hub, 4K!")).toEqual([
+      { term: "usb", start: 0, end: 3 },
+      { term: "c", start: 4, end: 5 },
+      { term: "hub", start: 6, end: 9 },
+      { term: "4k", start: 11, end: 13 },
+    ]);
+    expect(tokenize(undefined)).toEqual([]);
+  });
+});
+
+describe("editDistance", () => {
+  test("counts insertions, deletions, substitutions and adjacent swaps", () => {
+    expect(editDistance("hedphones", "headphones")).toEqual(1);
+    expect(editDistance("monitr", "monitor")).toEqual(1);
+    expect(editDistance("chiar", "chair")).toEqual(1);
+    expect(editDistance("kitten", "sitting")).toEqual(3);
+    expect(editDistance("same", "same")).toEqual(0);
+  });
+
+  test("stops early once the distance exceeds the maximum", () => {
+    expect(editDistance("kitten", "sitting", 1)).toEqual(2);
+    expect(editDistance("a", "abcdef", 2)).toEqual(3);
+  });
+
+  test("tolerates fewer typos in short words", () => {
+    expect(allowedEdits("cat", 2)).toEqual(0);
+    expect(allowedEdits("desks", 2)).toEqual(1);
+    expect(allowedEdits("monitor", 2)).toEqual(2);
+    expect(allowedEdits("monitor", 1)).toEqual(1);
+  });
+});
+
+describe("InvertedIndex", () => {
+  let index;
+
+  beforeEach(() => {
+    index = new InvertedIndex();
+    index.rebuild(items);
+  });
+
+  test("requires every query word to match (AND)", () => {
+    expect(searchIds(index, "laptop")).toEqual(expect.arrayContaining(["1", "2"]));
+    expect(searchIds(index, "laptop stand")).toEqual(["2"]);
+    expect(searchIds(index, "laptop headphones")).toEqual([]);
+  });
+
+  test("limits matches to the given fields", () => {
+    expect(searchIds(index, "stand", { fields: ["name"] })).toEqual(["2", "3"]);
+    expect(searchIds(index, "stand", { fields: ["description"] })).toEqual(["2"]);
+  });
+
+  test("matches word prefixes, ranked below exact words", () => {
+    // "stand" is exact in item 2 and a prefix of "standing" in item 3
+    const hits = index.search("stand");
+    expect(hits.map((hit) => hit.id)).toEqual(["2", "3"]);
+    expect(hits[0].score).toBeGreaterThan(hits[1].score);
+
+    expect(index.search("stand", { prefix: false }).map((hit) => hit.id)).toEqual(["2"]);
+  });
+
+  test("searches category and description, boosting name matches", () => {
+    // "electr" prefixes the category of 1 and 4 and the description of 3
+    expect(searchIds(index, "electr").sort()).toEqual(["1", "3", "4"]);
+    // "desk" is in both name and description of 3 only
+    expect(searchIds(index, "desk")).toEqual(["3"]);
+
+    // "laptop" appears twice in item 1 (name + description) and once in item 2 (name)
+    const [first, second] = index.search("laptop");
+    expect(first).toMatchObject({ id: "1" });
+    expect(first.score).toBeGreaterThan(second.score);
+  });
+
+  test("matches misspelled words, ranked below exact matches", () => {
+    expect(searchIds(index, "hedphones")).toEqual(["4"]);
+    expect(searchIds(index, "standng desk")).toEqual(["3"]);
+
+    index.add({ id: 5, name: "Desks" });
+    // "desk" is exact in 3 and one edit away from "desks" in 5
+    expect(searchIds(index, "desk")).toEqual(["3", "5"]);
+  });
+
+  test("honours the maximum number of edits", () => {
+    expect(searchIds(index, "hedphnes", { fuzzy: 1 })).toEqual([]);
+    expect(index.search("hedphnes", { fuzzy: 2 })).toHaveLength(1);
+    expect(new InvertedIndex({ maxEdits: 0 }).search("hedphones")).toEqual([]);
+  });
+
+  test("suggests corrected queries that have results", () => {
+    expect(index.suggest("hedphones")).toEqual(["headphones"]);
+    expect(index.suggest("noise hedphones")).toEqual(["noise headphones"]);
+    // Known words and prefixes need no correction
+    expect(index.suggest("lapt")).toEqual([]);
+    // Nothing close enough
+    expect(index.suggest("xylophone")).toEqual([]);
+  });
+
+  test("returns nothing for queries without words", () => {
+    expect(index.search("  !! ")).toEqual([]);
+  });
+
+  test("add() replaces an item's previous version and remove() drops it", () => {
+    index.add({ id: 2, name: "Monitor Arm", category: "Furniture" });
+    expect(searchIds(index, "laptop")).toEqual(["1"]);
+    expect(searchIds(index, "monitor")).toEqual(["2"]);
+
+    index.remove(2);
+    expect(searchIds(index, "monitor")).toEqual([]);
+    expect(index.size).toEqual(items.length - 1);
+  });
+});
+
+describe("search index per store", () => {
+  test("follows the store's create, update and delete events", async () => {
+    const store = new MemoryStore(items);
+    const index = getSearchIndex(store, await store.list());
+    jest.spyOn(index, "rebuild");
+
+    const created = await store.create({ name: "Gaming Laptop", category: "Electronics" });
+    await store.update(1, { name: "Workstation", description: "Desktop" });
+    await store.delete(2);
+
+    const current = await store.list();
+    expect(searchItems(store, current, "laptop").map((item) => item.id)).toEqual([created.id]);
+    // Kept up to date incrementally, without rebuilding
+    expect(index.rebuild).not.toHaveBeenCalled();
+  });
+
+  test("rebuilds after a reset event", async () => {
+    const store = new MemoryStore(items);
+    const index = getSearchIndex(store, await store.list());
+    jest.spyOn(index, "rebuild");
+
+    store.emit("reset");
+    searchItems(store, await store.list(), "desk");
+
+    expect(index.rebuild).toHaveBeenCalledTimes(1);
+  });
+
+  describe("rebuilds of large catalogues in the worker pool", () => {
+    const threshold = config.searchWorkerThreshold;
+
+    beforeEach(() => {
+      config.searchWorkerThreshold = items.length;
+    });
+
+    afterAll(async () => {
+      config.searchWorkerThreshold = threshold;
+      await closeWorkerPool();
+    });
+
+    test("installs the index built by a worker", async () => {
+      const store = new MemoryStore(items);
+      const current = await store.list();
+      const rebuild = jest.spyOn(InvertedIndex.prototype, "rebuild");
+
+      await prepareSearchIndex(store, current);
+
+      expect(searchItems(store, current, "laptop").map((item) => item.id)).toEqual([1, 2]);
+      expect(rebuild).not.toHaveBeenCalled();
+      rebuild.mockRestore();
+    });
+
+    test("drops a worker build the store changed during, and rebuilds in the request thread", async () => {
+      const store = new MemoryStore(items);
+      const preparing = prepareSearchIndex(store, await store.list());
+      const created = await store.create({ name: "Gaming Laptop", category: "Electronics" });
+      await preparing;
+
+      const current = await store.list();
+      expect(searchItems(store, current, "gaming").map((item) => item.id)).toEqual([created.id]);
+    });
+  });
+
+  test("returns copies of matching items with their score, most relevant first", async () => {
+    const store = new MemoryStore(items);
+    const results = searchItems(store, await store.list(), "laptop");
+
+    expect(results.map((item) => item.id)).toEqual([1, 2]);
+    expect(results[0]).toEqual({ ...items[0], score: expect.any(Number) });
+    expect(items[0]).not.toHaveProperty("score");
+  });
+});
+
+describe("highlightMatches", () => {
+  test("marks exact words, matched prefixes and typo matches in every searched field", () => {
+    const item = {
+      id: 1,
+      name: "Noise Cancelling Headphones",
+      category: "Electronics",
+      description: "Wireless headphones with noise cancelling",
+    };
+
+    expect(highlightMatches(item, "hedphones canc")).toEqual([
+      { field: "name", start: 6, end: 10 },
+      { field: "name", start: 17, end: 27 },
+      { field: "description", start: 9, end: 19 },
+      { field: "description", start: 31, end: 35 },
+    ]);
+  });
+
+  test("offsets point into the original text", () => {
+    const item = { name: "USB-C Hub", description: "Compact USB hub" };
+    const ranges = highlightMatches(item, "hub");
+
+    expect(ranges.map(({ field, start, end }) => item[field].slice(start, end))).toEqual([
+      "Hub",
+      "hub",
+    ]);
+  });
+
+  test("returns no ranges without query words", () => {
+    expect(highlightMatches({ name: "Desk" }, " ")).toEqual([]);
+  });
+});
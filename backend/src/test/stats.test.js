@@ -0,0 +1,209 @@
+const request = require("supertest");
+const express = require("express");
+const statsRouter = require("../routes/stats");
+const { MemoryStore, setStore } = require("../storage");
+const { errorHandler } = require("../middleware/errorHandler");
+const { closeWorkerPool } = require("../workers");
+const {
+  percentile,
+  standardDeviation,
+  histogram,
+  priceRange,
+  computeStats,
+} = require("../utils/stats");
+
+const catalogue = [
+  { id: 1, name: "Laptop", category: "Electronics", price: 1200 },
+  { id: 2, name: "Desk", category: "Furniture", price: 300 },
+  { id: 3, name: "Mouse", category: "Electronics", price: 25 },
+  { id: 4, name: "Chair", category: "Furniture", price: 150 },
+  { id: 5, name: "Novel", category: "Books", price: 15 },
+];
+
+// --- Statistics helpers ---
+
+describe("stats helpers", () => {
+  test("percentile() interpolates between ranks", () => {
+    expect(percentile([15, 25, 150, 300, 1200], 50)).toEqual(150);
+    expect(percentile([10, 20, 30, 40], 50)).toEqual(25);
+    expect(percentile([15, 25, 150, 300, 1200], 90)).toBeCloseTo(840);
+    expect(percentile([], 50)).toBeNull();
+  });
+
+  test("standardDeviation() is the population standard deviation", () => {
+    expect(standardDeviation([2, 4, 4, 4, 5, 5, 7, 9])).toEqual(2);
+    expect(standardDeviation([])).toBeNull();
+  });
+
+  test("histogram() lists every bucket, the last one open-ended", () => {
+    expect(histogram([5, 50, 99, 100, 2000], [50, 100])).toEqual([
+      { min: 0, max: 50, count: 1 },
+      { min: 50, max: 100, count: 2 },
+      { min: 100, max: null, count: 2 },
+    ]);
+  });
+
+  test("priceRange() labels the bucket a price falls into", () => {
+    expect(priceRange(10, [50, 100])).toEqual("0-50");
+    expect(priceRange(50, [50, 100])).toEqual("50-100");
+    expect(priceRange(100, [50, 100])).toEqual("100+");
+  });
+
+  test("computeStats() keeps averagePrice unrounded, as before", () => {
+    const items = [{ price: 1 }, { price: 2 }, { price: 2 }];
+    expect(computeStats(items, { boundaries: [] }).averagePrice).toEqual(5 / 3);
+  });
+
+  test("computeStats() handles an empty catalogue", () => {
+    expect(computeStats([], { boundaries: [100] })).toEqual({
+      total: 0,
+      averagePrice: 0,
+      price: { min: null, max: null, median: null, p90: null, stdDev: null },
+      histogram: [
+        { min: 0, max: 100, count: 0 },
+        { min: 100, max: null, count: 0 },
+      ],
+      groupBy: "category",
+      groups: [],
+    });
+  });
+});
+
+// --- Test Suite for GET /api/stats ---
+// The route computes on the real worker pool.
+
+describe("GET /api/stats", () => {
+  let app;
+
+  let store;
+
+  beforeEach(() => {
+    app = express();
+    app.use("/api/stats", statsRouter);
+    app.use(errorHandler);
+
+    store = new MemoryStore(catalogue);
+    jest.spyOn(store, "list");
+    setStore(store);
+  });
+
+  afterAll(closeWorkerPool);
+
+  test("returns price statistics, a histogram and a per-category breakdown", async () => {
+    const res = await request(app).get("/api/stats");
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toEqual({
+      total: 5,
+      averagePrice: 338,
+      price: { min: 15, max: 1200, median: 150, p90: 840, stdDev: 443.2 },
+      histogram: [
+        { min: 0, max: 50, count: 2 },
+        { min: 50, max: 100, count: 0 },
+        { min: 100, max: 500, count: 2 },
+        { min: 500, max: 1000, count: 0 },
+        { min: 1000, max: null, count: 1 },
+      ],
+      groupBy: "category",
+      groups: [
+        { key: "Electronics", count: 2, averagePrice: 612.5, minPrice: 25, maxPrice: 1200 },
+        { key: "Furniture", count: 2, averagePrice: 225, minPrice: 150, maxPrice: 300 },
+        { key: "Books", count: 1, averagePrice: 15, minPrice: 15, maxPrice: 15 },
+      ],
+      version: expect.any(String),
+      computedAt: expect.any(String),
+    });
+  });
+
+  test("groups by price range with custom buckets", async () => {
+    const res = await request(app).get("/api/stats?groupBy=priceRange&priceBuckets=100,1000");
+
+    expect(res.body.histogram.map((bucket) => bucket.count)).toEqual([2, 2, 1]);
+    expect(res.body.groups.map(({ key, count }) => [key, count])).toEqual([
+      ["0-100", 2],
+      ["100-1000", 2],
+      ["1000+", 1],
+    ]);
+  });
+
+  test("rejects invalid parameters before reading data", async () => {
+    let res = await request(app).get("/api/stats?groupBy=colour");
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.details).toEqual({ groupBy: "Must be one of: category, priceRange." });
+
+    res = await request(app).get("/api/stats?priceBuckets=100,10");
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.details).toHaveProperty("priceBuckets");
+  });
+
+  test("describes the items the list view shows for the same q, category and price filters", async () => {
+    let res = await request(app).get("/api/stats?category=electronics&q=laptop");
+    expect(res.body).toMatchObject({
+      total: 1,
+      averagePrice: 1200,
+      groups: [{ key: "Electronics", count: 1, averagePrice: 1200, minPrice: 1200, maxPrice: 1200 }],
+    });
+
+    res = await request(app).get("/api/stats?minPrice=100&maxPrice=500&groupBy=priceRange");
+    expect(res.body).toMatchObject({ total: 2, averagePrice: 225, price: { min: 150, max: 300 } });
+
+    res = await request(app).get("/api/stats?q=xylophone");
+    expect(res.body).toMatchObject({ total: 0, averagePrice: 0, groups: [] });
+  });
+
+  test("rejects invalid filters like the list endpoint", async () => {
+    const res = await request(app).get("/api/stats?category=Gadgets&minPrice=-1");
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.details).toEqual({
+      category: expect.stringMatching(/^Must be one of: /),
+      minPrice: "Must be a non-negative number.",
+    });
+    expect(store.list).not.toHaveBeenCalled();
+  });
+
+  test("serves unchanged data from the cache, tagged with its version", async () => {
+    const first = await request(app).get("/api/stats");
+    const second = await request(app).get("/api/stats");
+
+    expect(second.body).toEqual(first.body);
+    expect(first.headers.etag).toEqual(`"${first.body.version}"`);
+    expect(Date.parse(first.body.computedAt)).not.toBeNaN();
+    expect(store.list).toHaveBeenCalledTimes(1);
+
+    // Other parameters and filters are computed (and cached) separately.
+    await request(app).get("/api/stats?groupBy=priceRange");
+    await request(app).get("/api/stats?category=Books");
+    expect(store.list).toHaveBeenCalledTimes(3);
+  });
+
+  test("recomputes after items are created, changed or deleted", async () => {
+    const before = await request(app).get("/api/stats");
+    await store.create({ name: "Lamp", category: "Home", price: 40 });
+    const created = await request(app).get("/api/stats");
+
+    expect(created.body.total).toEqual(6);
+    expect(created.body.version).not.toEqual(before.body.version);
+
+    await store.update(1, { name: "Laptop", category: "Electronics", price: 1000 });
+    await store.delete(5);
+    const changed = await request(app).get("/api/stats");
+
+    expect(changed.body).toMatchObject({ total: 5, price: { min: 25, max: 1000 } });
+    expect(store.list).toHaveBeenCalledTimes(3);
+  });
+
+  test("answers 304 to a poll whose ETag is still current, without any work", async () => {
+    const first = await request(app).get("/api/stats");
+
+    let res = await request(app).get("/api/stats").set("If-None-Match", first.headers.etag);
+    expect(res.statusCode).toEqual(304);
+    expect(res.headers.etag).toEqual(first.headers.etag);
+
+    store.emit("reset");
+    res = await request(app).get("/api/stats").set("If-None-Match", first.headers.etag);
+    expect(res.statusCode).toEqual(200);
+    expect(res.headers.etag).not.toEqual(first.headers.etag);
+    expect(store.list).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,180 @@
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { createStore, JsonFileStore, JsonlStore, MemoryStore } = require("../storage");
+const { mockItems } = require("./mockData");
+
+// Every adapter must honour the same contract, so the same suite runs against each.
+let dir;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "items-storage-"));
+});
+
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+const adapters = [
+  ["MemoryStore", async () => new MemoryStore(mockItems)],
+  [
+    "JsonFileStore",
+    async () => {
+      const filePath = path.join(dir, "items.json");
+      await fs.writeFile(filePath, JSON.stringify(mockItems));
+      return new JsonFileStore({ filePath });
+    },
+  ],
+  [
+    "JsonlStore",
+    async () => {
+      await fs.writeFile(path.join(dir, "items.snapshot.json"), JSON.stringify(mockItems));
+      return new JsonlStore({ filePath: path.join(dir, "items.jsonl") });
+    },
+  ],
+];
+
+describe.each(adapters)("%s", (name, makeStore) => {
+  let store;
+
+  beforeEach(async () => {
+    store = await makeStore();
+  });
+
+  afterEach(async () => {
+    await store.close();
+  });
+
+  test("list() returns every item in storage order", async () => {
+    expect(await store.list()).toEqual(mockItems);
+  });
+
+  test("get() finds items by id, accepting the raw string route param", async () => {
+    expect(await store.get(3)).toEqual(mockItems[2]);
+    expect(await store.get("3")).toEqual(mockItems[2]);
+    expect(await store.get("999")).toBeNull();
+  });
+
+  test("getMany() returns items aligned with the ids, null where missing", async () => {
+    expect(await store.getMany(["3", 999, 1])).toEqual([mockItems[2], null, mockItems[0]]);
+  });
+
+  test("create() assigns the next id and stores the item", async () => {
+    const created = await store.create({ name: "Speaker", price: 80 });
+
+    expect(created).toEqual({ id: 6, name: "Speaker", price: 80 });
+    expect(await store.get(6)).toEqual(created);
+  });
+
+  test("update() merges fields by default and never changes the id", async () => {
+    const updated = await store.update("2", { price: 30, id: 42 });
+
+    expect(updated).toEqual({ ...mockItems[1], price: 30 });
+    expect(await store.get(2)).toEqual(updated);
+  });
+
+  test("update() with replace drops fields that are not supplied", async () => {
+    const updated = await store.update(2, { name: "Trackball" }, { replace: true });
+
+    expect(updated).toEqual({ id: 2, name: "Trackball" });
+  });
+
+  test("update() returns null for unknown ids", async () => {
+    expect(await store.update(999, { price: 1 })).toBeNull();
+  });
+
+  test("delete() removes the item and reports whether it existed", async () => {
+    expect(await store.delete(1)).toBe(true);
+    expect(await store.delete(1)).toBe(false);
+    expect(await store.list()).toHaveLength(mockItems.length - 1);
+  });
+
+  test("emits a change event after each successful mutation", async () => {
+    const changes = [];
+    store.on("change", (change) => changes.push(change));
+
+    const created = await store.create({ name: "Speaker", price: 80 });
+    const updated = await store.update(created.id, { price: 70 });
+    await store.delete(created.id);
+    await store.delete(999);
+
+    expect(changes).toEqual([
+      { type: "create", item: created },
+      { type: "update", item: updated },
+      { type: "delete", id: created.id },
+    ]);
+  });
+
+  test("bulk() applies operations in order with a single write", async () => {
+    jest.spyOn(store, "_commit");
+    const changes = [];
+    store.on("change", (change) => changes.push(change));
+
+    const results = await store.bulk([
+      { op: "create", fields: { name: "Speaker", price: 80 } },
+      { op: "update", id: "2", fields: { price: 30 } },
+      { op: "delete", id: 999 },
+      { op: "delete", id: 1 },
+    ]);
+
+    expect(results).toEqual([
+      { ok: true, item: { id: 6, name: "Speaker", price: 80 } },
+      { ok: true, item: { ...mockItems[1], price: 30 } },
+      { ok: false },
+      { ok: true, item: mockItems[0] },
+    ]);
+    expect(store._commit).toHaveBeenCalledTimes(1);
+    expect(changes.map((change) => change.type)).toEqual(["create", "update", "delete"]);
+    expect((await store.list()).map((item) => item.id)).toEqual([2, 3, 4, 5, 6]);
+  });
+
+  test("bulk() with atomic writes nothing unless every operation succeeds", async () => {
+    const changes = [];
+    store.on("change", (change) => changes.push(change));
+
+    const results = await store.bulk(
+      [
+        { op: "update", id: 2, fields: { price: 30 }, replace: false },
+        { op: "delete", id: 999 },
+      ],
+      { atomic: true }
+    );
+
+    expect(results.map((result) => result.ok)).toEqual([true, false]);
+    expect(await store.list()).toEqual(mockItems);
+    expect(changes).toEqual([]);
+  });
+
+  test("concurrent creates are serialized and all kept", async () => {
+    const created = await Promise.all(
+      Array.from({ length: 10 }, (_, i) => store.create({ name: `Item ${i}`, price: 1 }))
+    );
+
+    expect(new Set(created.map((item) => item.id)).size).toEqual(10);
+    expect(await store.list()).toHaveLength(mockItems.length + 10);
+  });
+});
+
+describe("createStore", () => {
+  test("builds the adapter named by `type`", () => {
+    expect(createStore({ type: "memory" })).toBeInstanceOf(MemoryStore);
+    expect(createStore({ type: "json", filePath: path.join(dir, "x.json") })).toBeInstanceOf(
+      JsonFileStore
+    );
+    expect(createStore({ type: "jsonl", filePath: path.join(dir, "x.jsonl") })).toBeInstanceOf(
+      JsonlStore
+    );
+  });
+
+  test("rejects unknown adapters", () => {
+    expect(() => createStore({ type: "mongo" })).toThrow(/Unknown storage adapter "mongo"/);
+  });
+
+  test("MemoryStore never mutates its seed data", async () => {
+    const seed = [{ id: 1, name: "Laptop", price: 1200 }];
+    const store = new MemoryStore(seed);
+    await store.update(1, { price: 1 });
+
+    expect(seed[0].price).toEqual(1200);
+  });
+});
@@ -0,0 +1,98 @@
+const path = require("path");
+const { WorkerPool } = require("../workers");
+const { AppError, TimeoutError } = require("../middleware/errorHandler");
+
+const FIXTURE = path.join(__dirname, "fixtures/poolWorker.js");
+
+const catalogue = [
+  { id: 1, name: "Laptop", category: "Electronics", price: 1200 },
+  { id: 2, name: "Desk", category: "Furniture", price: 300 },
+];
+
+let pool;
+
+afterEach(async () => {
+  await pool.close();
+});
+
+// --- Test Suite for the worker pool (src/workers) ---
+
+describe("WorkerPool", () => {
+  test("runs tasks from workers/tasks.js", async () => {
+    pool = new WorkerPool({ size: 1, timeoutMs: 5000 });
+
+    const stats = await pool.run("stats", { items: catalogue, options: { boundaries: [500] } });
+    expect(stats).toMatchObject({ total: 2, averagePrice: 750 });
+
+    const { rows } = await pool.run("readItemRows", { text: "name,price,category\nLamp,20,Home\n" });
+    expect(rows).toEqual([{ row: 2, line: 2, fields: { name: "Lamp", price: 20, category: "Home" } }]);
+  });
+
+  test("rejects with the task's error, keeping AppError status, code and details", async () => {
+    pool = new WorkerPool({ size: 1, timeoutMs: 5000 });
+
+    const err = await pool.run("readItemRows", { text: "name,price\n" }).catch((e) => e);
+    expect(err).toBeInstanceOf(AppError);
+    expect(err).toMatchObject({
+      name: "ValidationError",
+      status: 400,
+      code: "VALIDATION_ERROR",
+      details: { header: "Missing columns: category." },
+    });
+
+    await expect(pool.run("mine bitcoin", {})).rejects.toThrow('Unknown worker task "mine bitcoin".');
+    // A failing task doesn't cost the worker.
+    expect(pool.status()).toMatchObject({ workers: 1, restarts: 0 });
+  });
+
+  test("never runs more workers than its size; extra jobs wait in the queue", async () => {
+    pool = new WorkerPool({ size: 2, timeoutMs: 5000, script: FIXTURE });
+
+    const jobs = [1, 2, 3, 4, 5].map(() => pool.run("spin", { ms: 50 }));
+    expect(pool.status()).toMatchObject({ workers: 2, busy: 2, queued: 3 });
+
+    const threadIds = await Promise.all(jobs);
+    expect(new Set(threadIds).size).toEqual(2);
+    expect(pool.status()).toMatchObject({ workers: 2, busy: 0, queued: 0 });
+  });
+
+  test("fails a job that runs too long and replaces its worker", async () => {
+    pool = new WorkerPool({ size: 1, timeoutMs: 5000, script: FIXTURE });
+    const first = await pool.run("threadId");
+
+    const err = await pool.run("spin", { ms: 2000 }, { timeoutMs: 50 }).catch((e) => e);
+    expect(err).toBeInstanceOf(TimeoutError);
+    expect(err.message).toEqual('The "spin" task did not finish within 50 ms.');
+
+    // The queue moves on, on a fresh worker.
+    const next = await pool.run("threadId");
+    expect(next).not.toEqual(first);
+    expect(pool.status()).toMatchObject({ workers: 1, restarts: 1 });
+  });
+
+  test("restarts a crashed worker and fails only the job it was running", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    pool = new WorkerPool({ size: 1, timeoutMs: 5000, script: FIXTURE });
+
+    const crashed = pool.run("crash");
+    const queued = pool.run("threadId");
+
+    await expect(crashed).rejects.toThrow("Worker thread stopped unexpectedly (exit code 1).");
+    await expect(queued).resolves.toEqual(expect.any(Number));
+    expect(pool.status()).toMatchObject({ workers: 1, restarts: 1 });
+    console.error.mockRestore();
+  });
+
+  test("rejects queued and new jobs once closed", async () => {
+    pool = new WorkerPool({ size: 1, timeoutMs: 5000, script: FIXTURE });
+
+    const running = pool.run("spin", { ms: 50 }).catch((e) => e);
+    const queued = pool.run("threadId").catch((e) => e);
+    await pool.close();
+
+    expect((await running).message).toEqual("The worker pool is closed.");
+    expect((await queued).message).toEqual("The worker pool is closed.");
+    await expect(pool.run("threadId")).rejects.toThrow("The worker pool is closed.");
+    expect(pool.status()).toMatchObject({ workers: 0 });
+  });
+});
@@ -0,0 +1,112 @@
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { writeFileAtomic, withWriteLock, recoverData } = require("../utils/writeData");
+
+// These tests use a real temporary directory rather than mocking fs,
+// so the temp-file/fsync/rename sequence is exercised end to end.
+let dir;
+let file;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "items-store-"));
+  file = path.join(dir, "items.json");
+});
+
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+describe("writeFileAtomic", () => {
+  test("should replace the file contents and leave no temp files behind", async () => {
+    await fs.writeFile(file, "[]");
+
+    await writeFileAtomic(file, '[{"id":1}]');
+
+    expect(await fs.readFile(file, "utf8")).toEqual('[{"id":1}]');
+    expect(await fs.readdir(dir)).toEqual(["items.json"]);
+  });
+
+  test("should mirror the new contents to a .bak copy when asked", async () => {
+    await fs.writeFile(file, '[{"id":1}]');
+
+    await writeFileAtomic(file, '[{"id":1},{"id":2}]', { backup: true });
+
+    expect(await fs.readFile(`${file}.bak`, "utf8")).toEqual('[{"id":1},{"id":2}]');
+    expect(await fs.readFile(file, "utf8")).toEqual('[{"id":1},{"id":2}]');
+    expect((await fs.readdir(dir)).sort()).toEqual(["items.json", "items.json.bak"]);
+  });
+
+  test("should never copy a corrupt current file into the backup", async () => {
+    await fs.writeFile(file, '[{"id":1},{"id"');
+
+    await writeFileAtomic(file, '[{"id":2}]', { backup: true });
+
+    expect(await fs.readFile(`${file}.bak`, "utf8")).toEqual('[{"id":2}]');
+  });
+
+  test("should leave the original untouched and clean up when the write fails", async () => {
+    await fs.writeFile(file, '[{"id":1}]');
+
+    // Renaming onto a path inside a missing directory fails after the temp file was written.
+    const missing = path.join(dir, "missing", "items.json");
+    await expect(writeFileAtomic(missing, "[]")).rejects.toThrow();
+
+    expect(await fs.readFile(file, "utf8")).toEqual('[{"id":1}]');
+    expect(await fs.readdir(dir)).toEqual(["items.json"]);
+  });
+});
+
+describe("withWriteLock", () => {
+  test("should run tasks one at a time, in call order", async () => {
+    const events = [];
+    const task = (name, delay) => async () => {
+      events.push(`${name}:start`);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      events.push(`${name}:end`);
+    };
+
+    await Promise.all([withWriteLock(task("a", 20)), withWriteLock(task("b", 0))]);
+
+    expect(events).toEqual(["a:start", "a:end", "b:start", "b:end"]);
+  });
+
+  test("should keep processing after a task fails", async () => {
+    const failed = withWriteLock(async () => {
+      throw new Error("boom");
+    });
+    const next = withWriteLock(async () => "ok");
+
+    await expect(failed).rejects.toThrow("boom");
+    await expect(next).resolves.toEqual("ok");
+  });
+});
+
+describe("recoverData", () => {
+  beforeEach(() => jest.spyOn(console, "warn").mockImplementation(() => {}));
+  afterEach(() => console.warn.mockRestore());
+
+  test("should do nothing when the data file is valid", async () => {
+    await fs.writeFile(file, '[{"id":1}]');
+    await fs.writeFile(`${file}.bak`, "[]");
+
+    expect(await recoverData(file)).toBe(false);
+    expect(await fs.readFile(file, "utf8")).toEqual('[{"id":1}]');
+  });
+
+  test("should restore a corrupt data file from a valid backup", async () => {
+    await fs.writeFile(file, '[{"id":1},{"id"');
+    await fs.writeFile(`${file}.bak`, '[{"id":1}]');
+
+    expect(await recoverData(file)).toBe(true);
+    expect(await fs.readFile(file, "utf8")).toEqual('[{"id":1}]');
+  });
+
+  test("should leave the file alone when the backup is unusable", async () => {
+    await fs.writeFile(file, "not json");
+    await fs.writeFile(`${file}.bak`, "also not json");
+
+    expect(await recoverData(file)).toBe(false);
+    expect(await fs.readFile(file, "utf8")).toEqual("not json");
+  });
+});
@@ -0,0 +1,84 @@
+const { ValidationError } = require("../middleware/errorHandler");
+
+// --- Minimal CSV (RFC 4180) reader ---
+// Fields are separated by commas and records by LF or CRLF. A field in double quotes
+// may contain commas, line breaks and doubled quotes (""). A leading byte order mark,
+// as spreadsheet exports often add, is ignored.
+//
+// Returns [{ line, cells }] where `line` is the 1-based line the record starts on.
+// Blank lines are skipped. Throws a ValidationError for an unterminated quoted field.
+function parseCsv(text) {
+  const input = String(text).replace(/^\uFEFF/, "");
+  const records = [];
+
+  let cells = [];
+  let field = "";
+  let quoted = false; // Inside a quoted field
+  let fieldStart = true; // Nothing read yet for the current field
+  let line = 1;
+  let recordLine = 1;
+  let quoteLine = 1;
+
+  const endField = () => {
+    cells.push(field);
+    field = "";
+    fieldStart = true;
+  };
+  const endRecord = () => {
+    endField();
+    if (!(cells.length === 1 && cells[0] === "")) records.push({ line: recordLine, cells });
+    cells = [];
+    recordLine = line;
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") line++;
+        field += char;
+      }
+    } else if (char === '"' && fieldStart) {
+      quoted = true;
+      fieldStart = false;
+      quoteLine = line;
+    } else if (char === ",") {
+      endField();
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      line++;
+      endRecord();
+    } else {
+      field += char;
+      fieldStart = false;
+    }
+  }
+
+  if (quoted) {
+    throw new ValidationError("Invalid CSV.", {
+      csv: `Quoted field starting on line ${quoteLine} is never closed.`,
+    });
+  }
+  endRecord();
+  return records;
+}
+
+// --- Spreadsheet formula escaping ---
+// Text starting with =, +, - or @ (or a tab or carriage return) runs as a formula when a
+// CSV file is opened in a spreadsheet. The export prefixes such text with ' to keep it
+// text, and the import removes that prefix again. Text that already starts with quotes
+// before such a character gets one more, so a round trip never changes a value.
+const FORMULA_START = /^'*[=+\-@\t\r]/;
+
+const escapeFormula = (text) => (FORMULA_START.test(text) ? `'${text}` : text);
+
+const unescapeFormula = (text) =>
+  text.startsWith("'") && FORMULA_START.test(text) ? text.slice(1) : text;
+
+module.exports = { parseCsv, escapeFormula, unescapeFormula };
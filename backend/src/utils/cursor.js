@@ -0,0 +1,112 @@
+const { ValidationError } = require("../middleware/errorHandler");
+const { compareBy, formatSort } = require("./sortItems");
+
+// --- Cursor pagination for GET /api/items ---
+// Offset pages shift when items are added or removed between requests. A cursor
+// instead records the position of an item in the sort order (its sort key values
+// plus its id), so the next page starts right after that item wherever it now is.
+//
+// Tokens are opaque to clients: base64url-encoded JSON of
+//   { s: "<sort>", k: [sort key values], id, d: "next" | "prev" }
+
+// Cursor order always ends with the id, so every item has a unique position.
+// Without an explicit sort, cursor mode orders by id.
+function cursorSortKeys(sortKeys) {
+  if (sortKeys.some((key) => key.field === "id")) return sortKeys;
+  return [...sortKeys, { field: "id", order: "asc" }];
+}
+
+function encodeCursor(item, keys, direction) {
+  const payload = {
+    s: formatSort(keys),
+    k: keys.map(({ field }) => (item[field] === undefined ? null : item[field])),
+    id: item.id,
+    d: direction,
+  };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+const invalidCursor = (reason) =>
+  new ValidationError("Invalid cursor parameter.", { cursor: reason });
+
+// Decodes a token for the given cursor sort keys. An empty token means "first page"
+// and returns null. Throws a ValidationError for malformed tokens, and for tokens
+// issued for a different sort order.
+function decodeCursor(token, keys) {
+  if (token === "") return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(token), "base64url").toString("utf8"));
+  } catch (err) {
+    throw invalidCursor("Must be a cursor returned by a previous response.");
+  }
+  if (
+    !payload ||
+    !Array.isArray(payload.k) ||
+    payload.k.length !== keys.length ||
+    payload.id === undefined ||
+    !["next", "prev"].includes(payload.d)
+  ) {
+    throw invalidCursor("Must be a cursor returned by a previous response.");
+  }
+  if (payload.s !== formatSort(keys)) {
+    throw invalidCursor("Cursor was issued for a different sort order.");
+  }
+
+  // Rebuild the position as a pseudo-item the sort comparator understands.
+  const position = { id: payload.id };
+  keys.forEach(({ field }, i) => {
+    position[field] = payload.k[i];
+  });
+  return { position, direction: payload.d };
+}
+
+// Index of the first item that sorts after (or, with `inclusive`, at) `position`.
+// `items` are already sorted with `compare`, so a binary search is enough.
+function seek(items, position, compare, inclusive) {
+  let low = 0;
+  let high = items.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    const result = compare(items[mid], position);
+    if (result < 0 || (result === 0 && !inclusive)) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+// Returns one page of `items` (sorted by `keys`) around the decoded `cursor`:
+// the `limit` items after it ("next"), or before it ("prev"), or the first page.
+function paginateByCursor(items, keys, cursor, limit) {
+  const compare = compareBy(keys);
+  let start;
+  let end;
+
+  if (!cursor) {
+    start = 0;
+    end = Math.min(limit, items.length);
+  } else if (cursor.direction === "next") {
+    start = seek(items, cursor.position, compare, false);
+    end = Math.min(start + limit, items.length);
+  } else {
+    end = seek(items, cursor.position, compare, true);
+    start = Math.max(end - limit, 0);
+  }
+
+  const page = items.slice(start, end);
+  const hasPreviousPage = start > 0;
+  const hasNextPage = end < items.length;
+  // An empty page (e.g. everything after the cursor was deleted) keeps paging from the cursor itself.
+  const first = page.length > 0 ? page[0] : cursor && cursor.position;
+  const last = page.length > 0 ? page[page.length - 1] : cursor && cursor.position;
+  return {
+    items: page,
+    hasPreviousPage,
+    hasNextPage,
+    prevCursor: hasPreviousPage && first ? encodeCursor(first, keys, "prev") : null,
+    nextCursor: hasNextPage && last ? encodeCursor(last, keys, "next") : null,
+  };
+}
+
+module.exports = { cursorSortKeys, encodeCursor, decodeCursor, paginateByCursor };
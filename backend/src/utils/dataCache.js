@@ -0,0 +1,104 @@
+const fs = require("fs");
+const path = require("path");
+
+// --- In-memory cache of a parsed dataset ---
+// The JSON file store (storage/jsonFileStore.js) serves reads from its cache when
+// possible, refreshes it after every successful write, and watches its data file
+// so the cache is dropped when the file is changed by anything other than this
+// process (e.g. a manual edit).
+//
+// Enabled by default; DATA_CACHE=off disables it.
+const DEFAULT_ENABLED = process.env.DATA_CACHE !== "off";
+
+function createDataCache({ enabled = DEFAULT_ENABLED } = {}) {
+  const state = {
+    enabled,
+    data: null, // Cached items array, or null when nothing is cached
+    lastWritten: null, // Raw JSON of our own last write, to ignore our own watch events
+    hits: 0,
+    misses: 0,
+    invalidations: 0,
+  };
+
+  let watcher = null;
+  let watchTimer = null;
+  let onInvalidate = null;
+
+  // Returns a copy of the cached items array, or null on a miss.
+  // The array is copied so callers can push/splice freely; the item objects are
+  // shared and frozen, so always replace items rather than mutating them.
+  function get() {
+    if (!state.enabled) return null;
+    if (state.data === null) {
+      state.misses++;
+      return null;
+    }
+    state.hits++;
+    return state.data.slice();
+  }
+
+  // Stores a freshly read or written dataset. `raw` is the exact JSON written to disk, if any.
+  function set(items, { raw } = {}) {
+    if (!state.enabled) return;
+    state.data = items.map((item) => Object.freeze(item));
+    if (raw !== undefined) state.lastWritten = raw;
+  }
+
+  // Drops the cached dataset; the next read goes to disk.
+  function invalidate() {
+    if (state.data !== null) state.invalidations++;
+    state.data = null;
+    if (onInvalidate) onInvalidate();
+  }
+
+  // Hit/miss counters, exposed via GET /api/stats/cache.
+  function stats() {
+    const lookups = state.hits + state.misses;
+    return {
+      enabled: state.enabled,
+      cached: state.data !== null,
+      size: state.data ? state.data.length : 0,
+      hits: state.hits,
+      misses: state.misses,
+      hitRate: lookups > 0 ? state.hits / lookups : 0,
+      invalidations: state.invalidations,
+    };
+  }
+
+  // Watches `filePath` for outside changes and calls `onChange` after invalidating.
+  // The directory is watched rather than the file itself, because atomic writes
+  // replace the file (new inode) on every save. Events are debounced, and changes
+  // whose content matches our own last write are ignored.
+  function watch(filePath, onChange) {
+    if (watcher) return;
+    const fileName = path.basename(filePath);
+    onInvalidate = onChange || null;
+
+    watcher = fs.watch(path.dirname(filePath), (eventType, changed) => {
+      if (changed && changed !== fileName) return;
+      clearTimeout(watchTimer);
+      watchTimer = setTimeout(async () => {
+        try {
+          const raw = await fs.promises.readFile(filePath, "utf8");
+          if (raw === state.lastWritten) return; // Our own write
+        } catch (err) {
+          // Unreadable or deleted: fall through and invalidate.
+        }
+        invalidate();
+      }, 25);
+    });
+    // Don't keep the process alive just for the watcher.
+    watcher.unref();
+  }
+
+  function unwatch() {
+    clearTimeout(watchTimer);
+    if (watcher) watcher.close();
+    watcher = null;
+    onInvalidate = null;
+  }
+
+  return { get, set, invalidate, stats, watch, unwatch };
+}
+
+module.exports = { createDataCache };
@@ -0,0 +1,66 @@
+const { ValidationError } = require("../middleware/errorHandler");
+const { SELECTABLE_FIELDS } = require("./fields");
+const { escapeFormula } = require("./csv");
+
+// --- Catalogue export (GET /api/items/export) ---
+// Each format is a generator of text chunks, one item at a time, so a download never
+// needs the whole file in memory (see the route for how it is streamed).
+//   csv     header row, then one row per item; readable by POST /api/items/import
+//           (formula-like text is escaped, see csv.js, and unescaped by the import)
+//   ndjson  one JSON object per line
+//   json    a JSON array
+const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv", chunks: csvChunks },
+  ndjson: { contentType: "application/x-ndjson; charset=utf-8", extension: "ndjson", chunks: ndjsonChunks },
+  json: { contentType: "application/json; charset=utf-8", extension: "json", chunks: jsonChunks },
+};
+
+// CSV columns when no 'fields' are selected: the stored item fields.
+const DEFAULT_COLUMNS = SELECTABLE_FIELDS.filter((field) => field !== "score");
+
+function parseFormat(raw) {
+  const format = raw === undefined ? "json" : String(raw).toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    const formats = Object.keys(EXPORT_FORMATS).join(", ");
+    throw new ValidationError(`Invalid format parameter. Must be one of: ${formats}.`, {
+      format: `Must be one of: ${formats}.`,
+    });
+  }
+  return format;
+}
+
+// Quotes a CSV cell when it contains a separator, quote or line break (RFC 4180).
+// Text that a spreadsheet would run as a formula is escaped first (see csv.js).
+function csvCell(value) {
+  if (value === undefined || value === null) return "";
+  const text = typeof value === "string" ? escapeFormula(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function* csvChunks(items, fields) {
+  const columns = fields || DEFAULT_COLUMNS;
+  yield columns.map(csvCell).join(",") + "\r\n";
+  for (const item of items) {
+    yield columns.map((column) => csvCell(item[column])).join(",") + "\r\n";
+  }
+}
+
+function* ndjsonChunks(items) {
+  for (const item of items) yield JSON.stringify(item) + "\n";
+}
+
+function* jsonChunks(items) {
+  yield "[";
+  let first = true;
+  for (const item of items) {
+    yield (first ? "\n  " : ",\n  ") + JSON.stringify(item);
+    first = false;
+  }
+  yield first ? "]\n" : "\n]\n";
+}
+
+// Download file name, e.g. "items-2024-05-01.csv".
+const exportFileName = (format, date = new Date()) =>
+  `items-${date.toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].extension}`;
+
+module.exports = { EXPORT_FORMATS, parseFormat, exportFileName };
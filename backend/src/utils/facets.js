@@ -0,0 +1,87 @@
+const config = require("../config");
+const { ValidationError } = require("../middleware/errorHandler");
+const { filterItems } = require("./filterItems");
+const { histogram } = require("./stats");
+
+// --- Facet counts for GET /api/items ---
+// `facets=category,price` adds counts a filter sidebar can show next to each option:
+//   category  [{ value, count }] for every category present, most common first
+//   price     [{ min, max, count }] for each price bucket; min inclusive, max exclusive
+//             (null for the open-ended last bucket)
+// Price buckets are set by boundaries: "50,100,500" gives 0-50, 50-100, 100-500 and 500+.
+const FACETS = ["category", "price"];
+
+// Parses a comma-separated list of positive, strictly ascending price boundaries.
+function parseBoundaries(raw) {
+  const values = String(raw)
+    .split(",")
+    .map((value) => value.trim())
+    .filter(Boolean)
+    .map(Number);
+  const valid =
+    values.length > 0 &&
+    values.every((value, i) => Number.isFinite(value) && value > 0 && (i === 0 || value > values[i - 1]));
+  return valid ? values : null;
+}
+
+// Parses the `priceBuckets` parameter (also used by /api/stats for its histogram);
+// absent means the configured default boundaries.
+function parsePriceBuckets(raw) {
+  if (raw === undefined) return config.priceBuckets;
+  const boundaries = parseBoundaries(raw);
+  if (!boundaries) {
+    throw new ValidationError("Invalid priceBuckets parameter.", {
+      priceBuckets: "Must be a comma-separated list of ascending positive numbers.",
+    });
+  }
+  return boundaries;
+}
+
+// Parses `facets` (and the optional `priceBuckets` boundaries) into
+// { fields, boundaries }, or null when no facets were requested.
+function parseFacets(query = {}) {
+  if (query.facets === undefined || query.facets === "") return null;
+
+  const fields = [...new Set(String(query.facets).split(",").map((f) => f.trim()).filter(Boolean))];
+  const unknown = fields.find((field) => !FACETS.includes(field));
+  if (unknown) {
+    throw new ValidationError(`Invalid facets parameter. Available facets are: ${FACETS.join(", ")}.`, {
+      facets: `Unknown facet '${unknown}'.`,
+    });
+  }
+
+  return { fields, boundaries: parsePriceBuckets(query.priceBuckets) };
+}
+
+function categoryCounts(items) {
+  const counts = new Map();
+  for (const item of items) {
+    if (item.category === undefined || item.category === null) continue;
+    counts.set(item.category, (counts.get(item.category) || 0) + 1);
+  }
+  return Array.from(counts, ([value, count]) => ({ value, count })).sort(
+    (a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value))
+  );
+}
+
+function priceCounts(items, boundaries) {
+  const prices = items.filter((item) => typeof item.price === "number").map((item) => item.price);
+  return histogram(prices, boundaries);
+}
+
+// Computes the requested facets over `items`, the set matching `q`.
+// Each facet applies every other filter but not its own, so the sidebar still
+// shows (and counts) the alternatives to the current selection.
+function computeFacets(items, filters, { fields, boundaries }) {
+  const facets = {};
+  if (fields.includes("category")) {
+    facets.category = categoryCounts(filterItems(items, { ...filters, category: undefined }));
+  }
+  if (fields.includes("price")) {
+    const unpriced = { ...filters, minPrice: undefined, maxPrice: undefined };
+    facets.price = priceCounts(filterItems(items, unpriced), boundaries);
+  }
+  return facets;
+}
+
+module.exports = { FACETS, parseFacets, parseBoundaries, parsePriceBuckets, computeFacets };
@@ -0,0 +1,36 @@
+const { ValidationError } = require("../middleware/errorHandler");
+const { itemSchema } = require("./itemSchema");
+
+// --- Field projection (sparse fieldsets) for the item endpoints ---
+// `fields=id,name,price` returns only those properties of each item. Selectable are the
+// stored item fields and the search relevance `score`. Match ranges are requested with
+// `highlight=true` and are kept alongside the selected fields.
+const SELECTABLE_FIELDS = ["id", ...Object.keys(itemSchema), "score"];
+
+// Parses `fields` into a list of field names, or null when absent or empty (whole items).
+function parseFields(raw) {
+  if (raw === undefined || raw === "") return null;
+
+  const fields = [...new Set(String(raw).split(",").map((f) => f.trim()).filter(Boolean))];
+  const unknown = fields.filter((field) => !SELECTABLE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new ValidationError(
+      `Invalid fields parameter. Selectable fields are: ${SELECTABLE_FIELDS.join(", ")}.`,
+      { fields: `Unknown field${unknown.length > 1 ? "s" : ""}: ${unknown.join(", ")}.` }
+    );
+  }
+  return fields.length > 0 ? fields : null;
+}
+
+// A copy of `item` with only `fields` (those it has), in the requested order.
+// Without fields, the item is returned unchanged.
+function projectItem(item, fields) {
+  if (!fields) return item;
+  const projected = {};
+  for (const field of fields) {
+    if (item[field] !== undefined) projected[field] = item[field];
+  }
+  return projected;
+}
+
+module.exports = { SELECTABLE_FIELDS, parseFields, projectItem };
@@ -0,0 +1,95 @@
+const { ValidationError } = require("../middleware/errorHandler");
+const { ITEM_CATEGORIES } = require("./itemSchema");
+const { prepareSearchIndex, searchItems } = require("../search");
+
+// --- Filtering for GET /api/items, its export and GET /api/stats ---
+// Supported query parameters, all combinable:
+//   q         full-text query, answered by the search index (src/search)
+//   category  one category or a comma-separated list (case-insensitive)
+//   minPrice  inclusive lower price bound
+//   maxPrice  inclusive upper price bound
+
+// An absent or empty parameter means "no filter".
+const isBlank = (value) => value === undefined || value === "";
+
+// Parses a price bound; returns undefined when absent, NaN when invalid.
+function parsePrice(raw) {
+  if (isBlank(raw)) return undefined;
+  if (typeof raw !== "string" || raw.trim() === "") return NaN;
+  const value = Number(raw);
+  return Number.isFinite(value) && value >= 0 ? value : NaN;
+}
+
+// Parses the filter query parameters into { q?, category?, minPrice?, maxPrice? },
+// leaving out filters that are not applied. Categories are returned in their canonical
+// spelling. Every invalid parameter is reported at once in a ValidationError.
+function parseFilters(query = {}) {
+  const filters = {};
+  const errors = {};
+
+  if (!isBlank(query.q)) filters.q = String(query.q);
+
+  if (!isBlank(query.category)) {
+    // ?category=Books,Toys and ?category=Books&category=Toys are equivalent.
+    const requested = [].concat(query.category).join(",").split(",");
+    const categories = [];
+    for (const name of requested.map((c) => c.trim()).filter(Boolean)) {
+      const match = ITEM_CATEGORIES.find((c) => c.toLowerCase() === name.toLowerCase());
+      if (!match) {
+        errors.category = `Must be one of: ${ITEM_CATEGORIES.join(", ")}.`;
+        break;
+      }
+      if (!categories.includes(match)) categories.push(match);
+    }
+    if (categories.length > 0) filters.category = categories;
+  }
+
+  for (const field of ["minPrice", "maxPrice"]) {
+    const value = parsePrice(query[field]);
+    if (Number.isNaN(value)) errors[field] = "Must be a non-negative number.";
+    else if (value !== undefined) filters[field] = value;
+  }
+  if (
+    filters.minPrice !== undefined &&
+    filters.maxPrice !== undefined &&
+    filters.minPrice > filters.maxPrice
+  ) {
+    errors.maxPrice = "Must be greater than or equal to minPrice.";
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError(
+      "Invalid filter parameters. Check category, minPrice and maxPrice.",
+      errors
+    );
+  }
+  return filters;
+}
+
+// Returns the items matching the category and price filters, in their original order.
+// `q` is not handled here; see search/index.js.
+function filterItems(items, filters) {
+  return items.filter(
+    (item) =>
+      (!filters.category || filters.category.includes(item.category)) &&
+      (filters.minPrice === undefined || item.price >= filters.minPrice) &&
+      (filters.maxPrice === undefined || item.price <= filters.maxPrice)
+  );
+}
+
+// The items `filters` select from `allItems`, the store's current full list: the 'q'
+// search hits (copies with their relevance score, most relevant first; every item
+// without q), narrowed by the category and price filters. Every route that filters goes
+// through here, so the list, the export and the stats always describe the same set.
+// Resolves to { searched, items }; `searched` is the set before the category and price
+// filters, which the list's facets count.
+async function selectItems(store, allItems, filters) {
+  let searched = allItems;
+  if (filters.q) {
+    await prepareSearchIndex(store, allItems);
+    searched = searchItems(store, allItems, filters.q);
+  }
+  return { searched, items: filterItems(searched, filters) };
+}
+
+module.exports = { parseFilters, filterItems, selectItems };
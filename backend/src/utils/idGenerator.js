@@ -0,0 +1,87 @@
+const crypto = require("crypto");
+
+// --- ID generation strategies ---
+// "sequence" (default): integers continuing from the highest id already stored (1, 2, 3, ...).
+// "uuid":               random RFC 4122 v4 strings.
+// "ulid":               26-char, lexicographically sortable ids (timestamp + randomness).
+// The strategy is picked with the ITEM_ID_STRATEGY environment variable.
+const STRATEGIES = ["sequence", "uuid", "ulid"];
+
+// Crockford's base32 alphabet, as used by the ULID spec.
+const ULID_ALPHABET = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+
+// Highest integer id in `items`, or 0. Non-integer ids (uuid/ulid) are ignored.
+function maxIntegerId(items) {
+  return items.reduce(
+    (max, item) => (Number.isInteger(item.id) && item.id > max ? item.id : max),
+    0
+  );
+}
+
+// Encodes the low `length` base32 digits of a non-negative integer (as a BigInt).
+function encodeBase32(value, length) {
+  let out = "";
+  for (let i = 0; i < length; i++) {
+    out = ULID_ALPHABET[Number(value % 32n)] + out;
+    value /= 32n;
+  }
+  return out;
+}
+
+// Returns a monotonic ULID factory: ids created within the same millisecond
+// increment the random part instead of re-rolling it, so they still sort in creation order.
+function ulidFactory() {
+  let lastTime = -1;
+  let lastRandom = 0n;
+
+  return () => {
+    const now = Date.now();
+    if (now <= lastTime) {
+      // Same (or clock-skewed earlier) millisecond: bump the previous randomness.
+      lastRandom = (lastRandom + 1n) & ((1n << 80n) - 1n);
+    } else {
+      lastTime = now;
+      lastRandom = BigInt("0x" + crypto.randomBytes(10).toString("hex"));
+    }
+    return encodeBase32(BigInt(lastTime), 10) + encodeBase32(lastRandom, 16);
+  };
+}
+
+// Creates an id generator. `next(existingItems)` returns a fresh id.
+// `seed(items)` tells the sequence about existing ids up front, for stores that
+// don't want to pass the whole dataset on every call (see storage/jsonlStore.js).
+// Each store owns its own generator (see storage/baseStore.js).
+//
+// Uniqueness under concurrent requests: `next` is synchronous, and the sequence
+// strategy remembers the last id it issued. Two requests that read the same
+// snapshot of the data therefore still receive different ids.
+function createIdGenerator({ strategy = process.env.ITEM_ID_STRATEGY || "sequence" } = {}) {
+  if (!STRATEGIES.includes(strategy)) {
+    throw new Error(
+      `Unknown id strategy "${strategy}". Expected one of: ${STRATEGIES.join(", ")}.`
+    );
+  }
+
+  let lastIssued = 0;
+  const nextUlid = ulidFactory();
+
+  const next = (existingItems = []) => {
+    switch (strategy) {
+      case "uuid":
+        return crypto.randomUUID();
+      case "ulid":
+        return nextUlid();
+      default:
+        lastIssued = Math.max(lastIssued, maxIntegerId(existingItems)) + 1;
+        return lastIssued;
+    }
+  };
+
+  const seed = (existingItems) => {
+    lastIssued = Math.max(lastIssued, maxIntegerId(existingItems));
+  };
+
+  return { strategy, next, seed };
+}
+
+module.exports = { STRATEGIES, createIdGenerator };
@@ -0,0 +1,119 @@
+const config = require("../config");
+const { ValidationError } = require("../middleware/errorHandler");
+const { parseCsv, unescapeFormula } = require("./csv");
+const { itemSchema, validateItem } = require("./itemSchema");
+
+// --- CSV import of items (POST /api/items/import) ---
+// The header row names the columns, in any order and case: name, category, price and
+// description, plus id in upsert mode. Every other row is one item, validated with the
+// same rules as POST /api/items; rows with an id only need the cells they change
+// (validated like PATCH /api/items/:id).
+//
+// Modes:
+//   append  every row creates a new item; an id column is not allowed
+//   upsert  rows with an id update that item, rows with an empty id create one
+const IMPORT_MODES = ["append", "upsert"];
+const ITEM_COLUMNS = Object.keys(itemSchema);
+const REQUIRED_COLUMNS = ITEM_COLUMNS.filter((column) => itemSchema[column].required);
+
+const invalidHeader = (reason) => new ValidationError("Invalid CSV header.", { header: reason });
+
+// Maps the header cells to column names; throws a ValidationError for unusable headers.
+function readHeader(cells, mode) {
+  const columns = cells.map((cell) => cell.trim().toLowerCase());
+  const allowed = mode === "upsert" ? ["id", ...ITEM_COLUMNS] : ITEM_COLUMNS;
+
+  if (mode === "append" && columns.includes("id")) {
+    throw invalidHeader("The id column is only allowed with mode=upsert.");
+  }
+  const unknown = columns.filter((column) => !allowed.includes(column));
+  if (unknown.length > 0) {
+    throw invalidHeader(`Unknown columns: ${unknown.join(", ")}. Columns are: ${allowed.join(", ")}.`);
+  }
+  const repeated = columns.filter((column, i) => columns.indexOf(column) !== i);
+  if (repeated.length > 0) {
+    throw invalidHeader(`Repeated columns: ${[...new Set(repeated)].join(", ")}.`);
+  }
+  // With an id column, rows may only update some fields, so no other column is required;
+  // rows without an id still fail validation for their missing fields.
+  const missing = columns.includes("id")
+    ? []
+    : REQUIRED_COLUMNS.filter((column) => !columns.includes(column));
+  if (missing.length > 0) {
+    throw invalidHeader(`Missing columns: ${missing.join(", ")}.`);
+  }
+  return columns;
+}
+
+// A spreadsheet cell as an item field value: empty cells are left out, prices are
+// converted to numbers when they are numeric (anything else is left for the validator),
+// and text escaped against formulas by GET /api/items/export is unescaped.
+function cellValue(column, cell) {
+  if (cell.trim() === "") return undefined;
+  if (column === "price") {
+    const value = Number(cell);
+    return Number.isFinite(value) ? value : cell;
+  }
+  return unescapeFormula(cell);
+}
+
+// Reads and validates the rows of a CSV import. Header problems, too many rows and
+// malformed CSV throw a ValidationError; problems with single rows are collected:
+//
+//   { rows: [{ row, line, id?, fields }], errors: [{ row, line, message, details? }] }
+//
+// `row` counts records like a spreadsheet does (the header is row 1); `line` is the
+// line of the file the row starts on (they differ when a quoted cell spans lines).
+function readItemRows(text, { mode = "append" } = {}) {
+  const records = parseCsv(text);
+  if (records.length === 0) throw invalidHeader("The CSV must start with a header row.");
+  if (records.length - 1 > config.importMaxRows) {
+    throw new ValidationError("Too many rows.", {
+      csv: `Cannot import more than ${config.importMaxRows} rows at once.`,
+    });
+  }
+
+  const columns = readHeader(records[0].cells, mode);
+  const rows = [];
+  const errors = [];
+  const seenIds = new Set();
+
+  records.slice(1).forEach(({ line, cells }, i) => {
+    const row = i + 2;
+    if (cells.length !== columns.length) {
+      errors.push({ row, line, message: `Row has ${cells.length} cells; the header has ${columns.length}.` });
+      return;
+    }
+
+    const raw = {};
+    let id;
+    columns.forEach((column, c) => {
+      if (column === "id") {
+        if (cells[c].trim() !== "") id = cells[c].trim();
+        return;
+      }
+      const value = cellValue(column, cells[c]);
+      if (value !== undefined) raw[column] = value;
+    });
+
+    if (id !== undefined) {
+      if (seenIds.has(id)) {
+        errors.push({ row, line, id, message: `Item ${id} appears more than once.` });
+        return;
+      }
+      seenIds.add(id);
+    }
+
+    try {
+      const fields = validateItem(raw, { partial: id !== undefined });
+      rows.push({ row, line, ...(id !== undefined && { id }), fields });
+    } catch (err) {
+      if (!(err instanceof ValidationError)) throw err;
+      errors.push({ row, line, ...(id !== undefined && { id }), message: err.message, details: err.details });
+    }
+  });
+
+  return { rows, errors };
+}
+
+module.exports = { IMPORT_MODES, readItemRows };
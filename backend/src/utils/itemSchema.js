@@ -0,0 +1,57 @@
+const { assertValid } = require("./validate");
+
+// Categories an item may belong to. Extend this list to open up new categories.
+const ITEM_CATEGORIES = [
+  "Electronics",
+  "Furniture",
+  "Books",
+  "Clothing",
+  "Home",
+  "Sports",
+  "Toys",
+];
+
+// Declarative description of a writable item. Field order is the order errors are reported in.
+// 'id' is intentionally absent: it is assigned by the server, never accepted from clients.
+const itemSchema = {
+  name: {
+    label: "Item name",
+    type: "string",
+    required: true,
+    trim: true,
+    maxLength: 200,
+    message: "Item name is required and must be a non-empty string.",
+  },
+  price: {
+    label: "Item price",
+    type: "number",
+    required: true,
+    exclusiveMin: 0,
+    max: 1000000,
+    message: "Item price is required and must be a positive number.",
+  },
+  category: {
+    label: "Item category",
+    type: "string",
+    required: true,
+    trim: true,
+    enum: ITEM_CATEGORIES,
+    message: "Item category is required and must be a non-empty string.",
+  },
+  description: {
+    label: "Item description",
+    type: "string",
+    trim: true,
+    maxLength: 2000,
+    message: "Item description must be a string.",
+  },
+};
+
+// Validates a create/replace (full) or update (`partial: true`) payload.
+// Unknown fields are rejected by default; pass `unknown: "strip"` to drop them instead.
+// Returns the normalized item fields or throws a ValidationError listing every failing field.
+function validateItem(payload, { partial = false, unknown = "reject" } = {}) {
+  return assertValid(itemSchema, payload, { partial, unknown });
+}
+
+module.exports = { ITEM_CATEGORIES, itemSchema, validateItem };
@@ -1,18 +1,16 @@
-const path = require("path");
-
 const fs = require("fs").promises;
-const DATA_PATH = path.join(__dirname, '../../../data/items.json');
+const config = require("../config");
 
-// Async utility to read data
-async function readData() {
+// Async utility to read and parse a JSON data file (defaults to the configured data file).
+async function readData(filePath = config.dataFile) {
   try {
-    const raw = await fs.readFile(DATA_PATH, "utf8"); // Use fs.readFile (async)
+    const raw = await fs.readFile(filePath, "utf8"); // Use fs.readFile (async)
     return JSON.parse(raw);
   } catch (err) {
     // If the file doesn't exist return an empty array
     if (err.code === "ENOENT") {
       console.warn(
-        `Data file not found at ${DATA_PATH}. Returning empty array.`
+        `Data file not found at ${filePath}. Returning empty array.`
       );
       return [];
     }
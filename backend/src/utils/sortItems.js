@@ -0,0 +1,79 @@
+const { ValidationError } = require("../middleware/errorHandler");
+
+// --- Sorting for GET /api/items ---
+// `sort` is a comma-separated list of fields; a leading "-" sorts that field descending
+// (e.g. "category,-price"). `order` ("asc" or "desc") sets the direction of fields
+// without a prefix. Only the fields below can be sorted on; "score" is the search
+// relevance, which only exists on results of a `q` search.
+const SORTABLE_FIELDS = ["id", "name", "price", "category", "score"];
+const SORT_ORDERS = ["asc", "desc"];
+
+// Parses the raw `sort`/`order` query parameters into [{ field, order }], or [] when unsorted.
+// Throws a ValidationError for unknown fields or orders.
+function parseSort(rawSort, rawOrder) {
+  if (rawOrder !== undefined && !SORT_ORDERS.includes(String(rawOrder).toLowerCase())) {
+    throw new ValidationError("Invalid order parameter. Must be 'asc' or 'desc'.", {
+      order: "Must be 'asc' or 'desc'.",
+    });
+  }
+  const defaultOrder = rawOrder === undefined ? "asc" : String(rawOrder).toLowerCase();
+  if (rawSort === undefined || rawSort === "") return [];
+
+  const keys = String(rawSort)
+    .split(",")
+    .map((key) => key.trim())
+    .filter(Boolean)
+    .map((key) =>
+      key.startsWith("-")
+        ? { field: key.slice(1), order: "desc" }
+        : { field: key, order: defaultOrder }
+    );
+
+  const unknown = keys.find((key) => !SORTABLE_FIELDS.includes(key.field));
+  if (unknown) {
+    throw new ValidationError(
+      `Invalid sort parameter. Sortable fields are: ${SORTABLE_FIELDS.join(", ")}.`,
+      { sort: `Cannot sort by '${unknown.field}'.` }
+    );
+  }
+  return keys;
+}
+
+// Compares one field of two items. Numbers compare numerically, everything else as
+// case-insensitive text. Missing values sort last in either direction.
+function compareField(a, b, order) {
+  const aMissing = a === undefined || a === null;
+  const bMissing = b === undefined || b === null;
+  if (aMissing || bMissing) return aMissing - bMissing;
+
+  const result =
+    typeof a === "number" && typeof b === "number"
+      ? a - b
+      : String(a).localeCompare(String(b), undefined, { sensitivity: "base", numeric: true });
+  return order === "desc" ? -result : result;
+}
+
+// Builds a comparator for the parsed sort keys. Later keys break ties of earlier ones.
+function compareBy(keys) {
+  return (a, b) => {
+    for (const { field, order } of keys) {
+      const result = compareField(a[field], b[field], order);
+      if (result !== 0) return result;
+    }
+    return 0;
+  };
+}
+
+// Returns a sorted copy of `items`. The sort is stable, so equal items keep storage order.
+function sortItems(items, keys) {
+  if (keys.length === 0) return items;
+  return items.slice().sort(compareBy(keys));
+}
+
+// Canonical string form of parsed keys, e.g. "category,-price"; null when unsorted.
+function formatSort(keys) {
+  if (keys.length === 0) return null;
+  return keys.map(({ field, order }) => (order === "desc" ? `-${field}` : field)).join(",");
+}
+
+module.exports = { SORTABLE_FIELDS, parseSort, sortItems, compareBy, formatSort };
@@ -1,6 +1,113 @@
-// Utility intentionally unused by routes (candidate should refactor)
+// --- Catalogue statistics (GET /api/stats) ---
+// Pure functions over item lists. They run on the worker pool ("stats" task in
+// workers/tasks.js), so the request thread never does the number crunching.
+
+// Dimensions the `groups` breakdown can be grouped by.
+const GROUP_BY = ["category", "priceRange"];
+
+// Prices are money amounts, so derived values are reported to the cent.
+const toCents = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
 function mean(arr) {
   return arr.reduce((a, b) => a + b, 0) / arr.length;
 }
 
-module.exports = { mean };
\ No newline at end of file
+// The p-th percentile (0-100) of ascending `sorted` values, interpolating linearly
+// between the two closest ranks. null for no values.
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = (p / 100) * (sorted.length - 1);
+  const low = Math.floor(rank);
+  const high = Math.ceil(rank);
+  return sorted[low] + (sorted[high] - sorted[low]) * (rank - low);
+}
+
+// Population standard deviation. null for no values.
+function standardDeviation(values) {
+  if (values.length === 0) return null;
+  const average = mean(values);
+  return Math.sqrt(mean(values.map((value) => (value - average) ** 2)));
+}
+
+// Counts `values` into buckets between ascending `boundaries`: [0, b1), [b1, b2), ...,
+// [bn, no upper bound). Every bucket is listed, empty ones with count 0.
+function histogram(values, boundaries) {
+  const buckets = [0, ...boundaries].map((min, i) => ({
+    min,
+    max: i < boundaries.length ? boundaries[i] : null,
+    count: 0,
+  }));
+  for (const value of values) {
+    buckets.find(({ max }) => max === null || value < max).count++;
+  }
+  return buckets;
+}
+
+// Label of the histogram bucket `price` falls into, e.g. "50-100" or "1000+".
+function priceRange(price, boundaries) {
+  const upper = boundaries.findIndex((boundary) => price < boundary);
+  if (upper === -1) return `${boundaries[boundaries.length - 1] || 0}+`;
+  return `${upper === 0 ? 0 : boundaries[upper - 1]}-${boundaries[upper]}`;
+}
+
+// count, average, min and max price of each group of `items`, largest groups first.
+function groupStats(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item.price);
+  }
+  return Array.from(groups, ([key, prices]) => ({
+    key,
+    count: prices.length,
+    averagePrice: toCents(mean(prices)),
+    minPrice: Math.min(...prices),
+    maxPrice: Math.max(...prices),
+  })).sort((a, b) => b.count - a.count || String(a.key).localeCompare(String(b.key)));
+}
+
+// Everything GET /api/stats returns, for `items`:
+//   total, averagePrice                        as before (averagePrice is not rounded; 0 for
+//                                              an empty catalogue)
+//   price     { min, max, median, p90, stdDev } (null values for an empty catalogue)
+//             percentiles and the standard deviation are rounded to cents, as are the
+//             group averages
+//   histogram [{ min, max, count }]            buckets between `boundaries`
+//   groupBy, groups [{ key, count, averagePrice, minPrice, maxPrice }]
+// Items without a numeric price only count towards `total`.
+function computeStats(items, { groupBy = "category", boundaries }) {
+  const priced = items.filter((item) => typeof item.price === "number");
+  const prices = priced.map((item) => item.price).sort((a, b) => a - b);
+
+  const keyOf =
+    groupBy === "priceRange"
+      ? (item) => priceRange(item.price, boundaries)
+      : (item) => (item[groupBy] === undefined ? null : item[groupBy]);
+
+  return {
+    total: items.length,
+    averagePrice: prices.length > 0 ? mean(prices) : 0,
+    price: {
+      min: prices.length > 0 ? prices[0] : null,
+      max: prices.length > 0 ? prices[prices.length - 1] : null,
+      median: toCents(percentile(prices, 50)),
+      p90: toCents(percentile(prices, 90)),
+      stdDev: toCents(standardDeviation(prices)),
+    },
+    histogram: histogram(prices, boundaries),
+    groupBy,
+    groups: groupStats(priced, keyOf),
+  };
+}
+
+module.exports = {
+  GROUP_BY,
+  mean,
+  percentile,
+  standardDeviation,
+  histogram,
+  priceRange,
+  groupStats,
+  computeStats,
+};
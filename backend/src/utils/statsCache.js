@@ -0,0 +1,67 @@
+const config = require("../config");
+
+// --- Cached statistics per store (GET /api/stats) ---
+// Each store gets a data version, bumped by its "change" events (create/update/delete)
+// and "reset" events (e.g. the data file was edited outside the server). Computed
+// statistics are kept per set of options until the version moves on, so repeated
+// requests for unchanged data cost neither a data read nor a worker job.
+//
+// The version is "<epoch>-<counter>"; the epoch differs on every server start, so a
+// version seen before a restart never matches a new one.
+const caches = new WeakMap();
+
+function track(store) {
+  const cache = { epoch: Date.now().toString(36), version: 0, results: new Map() };
+
+  const invalidate = () => {
+    cache.version++;
+    cache.results.clear();
+  };
+  store.on("change", invalidate);
+  store.on("reset", invalidate);
+
+  caches.set(store, cache);
+  return cache;
+}
+
+const cacheOf = (store) => caches.get(store) || track(store);
+
+// The current data version of `store`, e.g. "lx2v3k1a-4".
+function statsVersion(store) {
+  const cache = cacheOf(store);
+  return `${cache.epoch}-${cache.version}`;
+}
+
+// Resolves to { stats, version, computedAt } for the options identified by `key`:
+// the cached result if the data hasn't changed since it was computed, otherwise the
+// result of `compute()` (which must read the store's current data). Concurrent requests
+// for the same key share one computation. At most config.statsCacheSize results are
+// kept; the least recently used goes first.
+function cachedStats(store, key, compute) {
+  const cache = cacheOf(store);
+
+  let result = cache.results.get(key);
+  if (result) {
+    // Re-insert to mark it as recently used.
+    cache.results.delete(key);
+    cache.results.set(key, result);
+    return result;
+  }
+
+  const version = statsVersion(store);
+  result = Promise.resolve()
+    .then(compute)
+    .then((stats) => ({ stats, version, computedAt: new Date().toISOString() }));
+  cache.results.set(key, result);
+  if (cache.results.size > config.statsCacheSize) {
+    cache.results.delete(cache.results.keys().next().value);
+  }
+
+  // A failed computation is not cached; the next request tries again.
+  result.catch(() => {
+    if (cache.results.get(key) === result) cache.results.delete(key);
+  });
+  return result;
+}
+
+module.exports = { statsVersion, cachedStats };
@@ -0,0 +1,117 @@
+const { ValidationError } = require("../middleware/errorHandler");
+
+// Generic, declarative object validator.
+//
+// A schema maps field names to rule objects:
+//   type        "string" | "number" | "integer"
+//   required    field must be present (ignored in partial mode)
+//   trim        trim strings before checking/storing them
+//   minLength / maxLength   string length bounds (after trimming)
+//   min / max               inclusive numeric bounds
+//   exclusiveMin            numeric lower bound that is itself invalid (e.g. 0 for "positive")
+//   enum                    list of allowed values
+//   label                   human-readable field name used in messages (defaults to the key)
+//   message                 message used when the field is missing or has the wrong type
+//
+// Every field is checked, so all failures are reported at once rather than only the first.
+
+// Returns true when `value` matches the declared type.
+function hasType(value, type) {
+  switch (type) {
+    case "string":
+      return typeof value === "string";
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "integer":
+      return Number.isInteger(value);
+    default:
+      return true;
+  }
+}
+
+// Checks a single present value against its rules. Returns an error message or null.
+function checkField(field, value, rules) {
+  const label = rules.label || field;
+  const typeMessage = rules.message || `${label} must be of type ${rules.type}.`;
+
+  if (value === null || !hasType(value, rules.type)) return typeMessage;
+
+  if (typeof value === "string") {
+    if (rules.required && value === "") return typeMessage;
+    if (rules.minLength !== undefined && value.length < rules.minLength) {
+      return `${label} must be at least ${rules.minLength} characters.`;
+    }
+    if (rules.maxLength !== undefined && value.length > rules.maxLength) {
+      return `${label} must be at most ${rules.maxLength} characters.`;
+    }
+  }
+
+  if (typeof value === "number") {
+    if (rules.exclusiveMin !== undefined && value <= rules.exclusiveMin) return typeMessage;
+    if (rules.min !== undefined && value < rules.min) {
+      return `${label} must be at least ${rules.min}.`;
+    }
+    if (rules.max !== undefined && value > rules.max) {
+      return `${label} must be at most ${rules.max}.`;
+    }
+  }
+
+  if (rules.enum && !rules.enum.includes(value)) {
+    return `${label} must be one of: ${rules.enum.join(", ")}.`;
+  }
+
+  return null;
+}
+
+// Validates `input` against `schema`.
+// Options:
+//   partial  only validate the fields present in `input` (for PATCH-style updates)
+//   unknown  "reject" (default) reports fields not in the schema; "strip" silently drops them
+// Returns { value, errors } where `value` holds only schema fields (normalized, e.g. trimmed)
+// and `errors` maps each failing field to its message (empty object when valid).
+function validate(schema, input, { partial = false, unknown = "reject" } = {}) {
+  const source = input && typeof input === "object" && !Array.isArray(input) ? input : {};
+  const value = {};
+  const errors = {};
+
+  for (const [field, rules] of Object.entries(schema)) {
+    let fieldValue = source[field];
+
+    if (fieldValue === undefined) {
+      if (rules.required && !partial) {
+        errors[field] = rules.message || `${rules.label || field} is required.`;
+      }
+      continue;
+    }
+
+    if (rules.trim && typeof fieldValue === "string") fieldValue = fieldValue.trim();
+
+    const error = checkField(field, fieldValue, rules);
+    if (error) errors[field] = error;
+    else value[field] = fieldValue;
+  }
+
+  if (unknown === "reject") {
+    for (const field of Object.keys(source)) {
+      if (!Object.prototype.hasOwnProperty.call(schema, field)) {
+        errors[field] = `Unknown field '${field}'.`;
+      }
+    }
+  }
+
+  return { value, errors };
+}
+
+// Like validate(), but throws a ValidationError listing every failing field.
+// The error message is the first failure (in schema order) so single-field
+// errors read naturally; `details` carries the full list.
+function assertValid(schema, input, options) {
+  const { value, errors } = validate(schema, input, options);
+  const messages = Object.values(errors);
+  if (messages.length > 0) {
+    throw new ValidationError(messages[0], errors);
+  }
+  return value;
+}
+
+module.exports = { validate, assertValid };
@@ -1,11 +1,76 @@
-const path = require("path");
-
 const fs = require("fs").promises;
-const DATA_PATH = path.join(__dirname, '../../../data/items.json');
+const config = require("../config");
+
+// --- Write serialization ---
+// Every mutation runs through this promise chain, so only one read-modify-write
+// touches a data file at a time. A failed task does not break the chain.
+let writeQueue = Promise.resolve();
+
+function withWriteLock(task) {
+  const run = writeQueue.then(task);
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+// Backup copy kept next to the data file: always the last successfully written version.
+const backupPathFor = (filePath) => `${filePath}.bak`;
+
+// Replaces `filePath` with `contents` via a temp file in the same directory, fsync'ed
+// and then renamed over the original (atomic on POSIX filesystems).
+async function replaceFile(filePath, contents) {
+  const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  try {
+    await fs.writeFile(tmpPath, contents, "utf8");
+
+    const handle = await fs.open(tmpPath, "r+");
+    try {
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    await fs.rename(tmpPath, filePath);
+  } catch (err) {
+    // Don't leave half-written temp files behind.
+    await fs.unlink(tmpPath).catch(() => {});
+    throw err;
+  }
+}
+
+// Crash-safe file replacement:
+// 1. write the new contents to a temp file in the same directory,
+// 2. fsync it so the bytes are on disk,
+// 3. rename the temp file over the original (atomic on POSIX filesystems),
+// 4. optionally write the same contents to `<file>.bak` the same way, so recovery from a
+//    file corrupted later restores the latest committed state.
+// A crash at any point leaves either the old or the new file, never a truncated one.
+async function writeFileAtomic(filePath, contents, { backup = false } = {}) {
+  await replaceFile(filePath, contents);
+  if (backup) await replaceFile(backupPathFor(filePath), contents);
+}
+
+// Startup recovery: if the data file is corrupt (or missing) but the `.bak`
+// copy is valid, restore the backup. Returns true when a restore happened.
+async function recoverData(filePath = config.dataFile) {
+  try {
+    JSON.parse(await fs.readFile(filePath, "utf8"));
+    return false; // Data file is healthy
+  } catch (err) {
+    if (err.code !== "ENOENT" && !(err instanceof SyntaxError)) throw err;
+  }
+
+  let backup;
+  try {
+    backup = await fs.readFile(backupPathFor(filePath), "utf8");
+    JSON.parse(backup);
+  } catch (err) {
+    // No usable backup either; leave the data file as it is.
+    return false;
+  }
 
-// Async utility to write data
-async function writeData( data) {
-  await fs.writeFile(DATA_PATH, JSON.stringify(data, null, 2), "utf8"); // Use fs.writeFile (async)
+  console.warn(`Data file at ${filePath} is missing or corrupt. Restoring from backup.`);
+  await withWriteLock(() => writeFileAtomic(filePath, backup));
+  return true;
 }
 
-module.exports = { writeData };
+module.exports = { recoverData, writeFileAtomic, withWriteLock };
@@ -0,0 +1,30 @@
+const config = require("../config");
+const { WorkerPool } = require("./pool");
+
+// --- Shared worker pool ---
+// One pool for the whole server (stats, search index rebuilds, import validation),
+// started on first use. Tests can swap in their own with setWorkerPool().
+let activePool = null;
+
+function getWorkerPool() {
+  if (!activePool) {
+    activePool = new WorkerPool({ size: config.workerPoolSize, timeoutMs: config.workerTimeoutMs });
+  }
+  return activePool;
+}
+
+function setWorkerPool(pool) {
+  activePool = pool;
+}
+
+// Stops the shared pool (if started); the next getWorkerPool() starts a new one.
+async function closeWorkerPool() {
+  const pool = activePool;
+  activePool = null;
+  if (pool) await pool.close();
+}
+
+// Runs `taskName` (workers/tasks.js) on the shared pool. See WorkerPool#run.
+const runTask = (taskName, payload, options) => getWorkerPool().run(taskName, payload, options);
+
+module.exports = { WorkerPool, getWorkerPool, setWorkerPool, closeWorkerPool, runTask };
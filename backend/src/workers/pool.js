@@ -0,0 +1,155 @@
+const path = require("path");
+const { Worker } = require("worker_threads");
+const { AppError, TimeoutError } = require("../middleware/errorHandler");
+
+const WORKER_SCRIPT = path.join(__dirname, "worker.js");
+
+// Turns an error sent back by a worker (see worker.js) into an Error again. AppErrors
+// keep their status, code and details, so they reach clients just like in-thread ones.
+function toError({ name, message, stack, status, code, details }) {
+  const err = status ? new AppError(message, { status, code, details }) : new Error(message);
+  err.name = name;
+  if (stack) err.stack = stack;
+  return err;
+}
+
+// --- Worker thread pool ---
+// Runs CPU-heavy tasks (workers/tasks.js) on at most `size` worker threads, so the
+// request thread stays responsive and a burst of requests can't start unbounded threads.
+//   - Workers are started on demand, up to `size`, and then kept for later jobs.
+//   - Each worker runs one job at a time; the others wait in a FIFO queue.
+//   - A job running longer than `timeoutMs` fails with a TimeoutError. Its worker is
+//     terminated (the only way to stop a busy thread) and replaced.
+//   - A worker that crashes fails its job and is replaced as well.
+// Workers are unref'd: an idle pool never keeps the process alive.
+class WorkerPool {
+  constructor({ size, timeoutMs, script = WORKER_SCRIPT }) {
+    if (!Number.isInteger(size) || size < 1) {
+      throw new Error(`Invalid worker pool size "${size}". Expected a whole number of at least 1.`);
+    }
+    this.size = size;
+    this.timeoutMs = timeoutMs;
+    this.script = script;
+    this.slots = []; // { worker, job } per live worker; `job` is null when idle
+    this.queue = []; // Jobs waiting for a free worker
+    this.nextJobId = 1;
+    this.restarts = 0;
+    this.closed = false;
+  }
+
+  // Runs `taskName` (a key of workers/tasks.js) with `payload`, which must be
+  // structured-cloneable. Resolves with the task's result, or rejects with its error.
+  // `timeoutMs` overrides the pool's timeout for this job; it counts from the moment the
+  // job starts running, not the time spent in the queue.
+  run(taskName, payload, { timeoutMs = this.timeoutMs } = {}) {
+    if (this.closed) return Promise.reject(new Error("The worker pool is closed."));
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ id: this.nextJobId++, taskName, payload, timeoutMs, resolve, reject });
+      this._dispatch();
+    });
+  }
+
+  // Counters for monitoring and tests.
+  status() {
+    return {
+      size: this.size,
+      workers: this.slots.length,
+      busy: this.slots.filter((slot) => slot.job).length,
+      queued: this.queue.length,
+      restarts: this.restarts,
+    };
+  }
+
+  // Stops every worker. Queued and running jobs are rejected.
+  async close() {
+    this.closed = true;
+    const err = new Error("The worker pool is closed.");
+    this.queue.splice(0).forEach((job) => job.reject(err));
+    await Promise.all(this.slots.slice().map((slot) => this._retire(slot, err)));
+  }
+
+  // Hands queued jobs to idle workers, starting new ones while below `size`.
+  _dispatch() {
+    while (this.queue.length > 0) {
+      let slot = this.slots.find((candidate) => !candidate.job);
+      if (!slot && this.slots.length < this.size) slot = this._spawn();
+      if (!slot) return;
+      this._start(slot, this.queue.shift());
+    }
+  }
+
+  _spawn() {
+    const slot = { worker: new Worker(this.script), job: null };
+    slot.worker.unref();
+    slot.worker.on("message", (message) => this._finish(slot, message));
+    slot.worker.on("error", (err) => this._crash(slot, err));
+    slot.worker.on("exit", (code) =>
+      this._crash(slot, new Error(`Worker thread stopped unexpectedly (exit code ${code}).`))
+    );
+    this.slots.push(slot);
+    return slot;
+  }
+
+  _start(slot, job) {
+    slot.job = job;
+    job.timer = setTimeout(() => {
+      this._replace(
+        slot,
+        new TimeoutError(`The "${job.taskName}" task did not finish within ${job.timeoutMs} ms.`)
+      );
+    }, job.timeoutMs);
+
+    try {
+      slot.worker.postMessage({ id: job.id, taskName: job.taskName, payload: job.payload });
+    } catch (err) {
+      // The payload could not be cloned; the worker itself is fine.
+      clearTimeout(job.timer);
+      slot.job = null;
+      job.reject(err);
+    }
+  }
+
+  _finish(slot, { id, result, error }) {
+    const job = slot.job;
+    if (!job || job.id !== id) return;
+
+    clearTimeout(job.timer);
+    slot.job = null;
+    if (error) job.reject(toError(error));
+    else job.resolve(result);
+    this._dispatch();
+  }
+
+  _crash(slot, err) {
+    if (slot.retired) return;
+    console.error("Worker thread crashed:", err);
+    this._replace(slot, err);
+  }
+
+  // Retires a worker that crashed or timed out, and starts another in its place.
+  _replace(slot, err) {
+    if (slot.retired) return;
+    this._retire(slot, err);
+    if (this.closed) return;
+    this.restarts++;
+    this._spawn();
+    this._dispatch();
+  }
+
+  // Removes `slot` from the pool, failing its job with `err`, and stops its thread.
+  _retire(slot, err) {
+    if (slot.retired) return undefined;
+    slot.retired = true;
+    this.slots.splice(this.slots.indexOf(slot), 1);
+
+    if (slot.job) {
+      clearTimeout(slot.job.timer);
+      slot.job.reject(err);
+      slot.job = null;
+    }
+    return slot.worker.terminate();
+  }
+}
+
+module.exports = { WorkerPool, WORKER_SCRIPT };
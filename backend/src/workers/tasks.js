@@ -0,0 +1,21 @@
+const { computeStats } = require("../utils/stats");
+const { readItemRows } = require("../utils/itemImport");
+const { InvertedIndex } = require("../search/invertedIndex");
+
+// --- Tasks the worker pool can run ---
+// Each takes the payload passed to pool.run(taskName, payload) and returns the result
+// sent back to the caller. Payloads and results cross threads as structured clones.
+module.exports = {
+  // GET /api/stats: { items, options } -> the statistics (see utils/stats.js).
+  stats: ({ items, options }) => computeStats(items, options),
+
+  // Full search index rebuild: { items, maxEdits } -> InvertedIndex#snapshot().
+  buildSearchIndex: ({ items, maxEdits }) => {
+    const index = new InvertedIndex({ maxEdits });
+    index.rebuild(items);
+    return index.snapshot();
+  },
+
+  // CSV import validation: { text, mode } -> { rows, errors } (see utils/itemImport.js).
+  readItemRows: ({ text, mode }) => readItemRows(text, { mode }),
+};
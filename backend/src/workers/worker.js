@@ -0,0 +1,29 @@
+// worker.js
+const { parentPort } = require("worker_threads");
+const tasks = require("./tasks");
+
+// Errors are sent as plain objects; AppError fields (status, code, details) are kept so
+// the pool can rebuild them (see toError() in pool.js).
+const serializeError = ({ name, message, stack, status, code, details }) => ({
+  name,
+  message,
+  stack,
+  status,
+  code,
+  details,
+});
+
+// Listen for jobs from the pool: { id, taskName, payload }.
+// Every job is answered with { id, result } or { id, error }.
+parentPort.on("message", async ({ id, taskName, payload }) => {
+  try {
+    if (!Object.prototype.hasOwnProperty.call(tasks, taskName)) {
+      throw new Error(`Unknown worker task "${taskName}".`);
+    }
+    // This runs in a separate thread, not blocking the main event loop
+    const result = await tasks[taskName](payload);
+    parentPort.postMessage({ id, result });
+  } catch (err) {
+    parentPort.postMessage({ id, error: serializeError(err) });
+  }
+});
@@ -0,0 +1,39 @@
+import React from "react";
+
+// Renders `text` with the search match ranges ({ start, end }, end exclusive) wrapped
+// in <mark>. Overlapping or touching ranges are merged; without ranges it is plain text.
+const Highlight = ({ text, ranges }) => {
+  if (text === undefined || text === null) return null;
+  const value = String(text);
+  if (!ranges || ranges.length === 0) return value;
+
+  const merged = [];
+  [...ranges]
+    .sort((a, b) => a.start - b.start)
+    .forEach(({ start, end }) => {
+      const last = merged[merged.length - 1];
+      if (last && start <= last.end) last.end = Math.max(last.end, end);
+      else merged.push({ start, end });
+    });
+
+  const parts = [];
+  let position = 0;
+  merged.forEach(({ start, end }) => {
+    if (start > position) parts.push(value.slice(position, start));
+    parts.push(
+      <mark key={start} className="bg-yellow-300 text-black rounded-sm">
+        {value.slice(start, end)}
+      </mark>
+    );
+    position = end;
+  });
+  if (position < value.length) parts.push(value.slice(position));
+
+  return <>{parts}</>;
+};
+
+// The match ranges the API returned for one field of an item (requested with highlight=true).
+export const rangesFor = (item, field) =>
+  (item.highlights || []).filter((range) => range.field === field);
+
+export default Highlight;
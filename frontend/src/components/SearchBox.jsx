@@ -0,0 +1,115 @@
+import React, { useState } from "react";
+import { useCompletions } from "../hooks/useCompletions";
+
+const LISTBOX_ID = "search-completions";
+const optionId = (index) => `search-completion-${index}`;
+
+// Search input with an autocomplete dropdown of item names, following the ARIA
+// combobox pattern: focus stays in the input while ArrowDown/ArrowUp move through the
+// options (announced via aria-activedescendant), Enter picks the active option and
+// Escape closes the list. `onChange` receives input change events as usual;
+// `onSelect` receives the picked completion.
+const SearchBox = ({ value, onChange, onSelect }) => {
+  const completions = useCompletions(value);
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+
+  const expanded = open && completions.length > 0;
+
+  const close = () => {
+    setOpen(false);
+    setActiveIndex(-1);
+  };
+
+  const select = (completion) => {
+    close();
+    onSelect(completion);
+  };
+
+  const handleChange = (e) => {
+    setOpen(true);
+    setActiveIndex(-1);
+    onChange(e);
+  };
+
+  const handleKeyDown = (e) => {
+    const count = completions.length;
+    switch (e.key) {
+      case "ArrowDown":
+        if (count === 0) return;
+        e.preventDefault();
+        setOpen(true);
+        setActiveIndex((index) => (expanded ? (index + 1) % count : 0));
+        break;
+      case "ArrowUp":
+        if (count === 0) return;
+        e.preventDefault();
+        setOpen(true);
+        setActiveIndex((index) => (expanded && index > 0 ? index - 1 : count - 1));
+        break;
+      case "Enter":
+        if (expanded && activeIndex >= 0) {
+          e.preventDefault();
+          select(completions[activeIndex]);
+        }
+        break;
+      case "Escape":
+        if (expanded) {
+          e.preventDefault();
+          close();
+        }
+        break;
+      default:
+    }
+  };
+
+  return (
+    <div className="relative">
+      <input
+        aria-label="Search items by name"
+        id="search-input"
+        type="text"
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={expanded}
+        aria-controls={LISTBOX_ID}
+        aria-activedescendant={expanded && activeIndex >= 0 ? optionId(activeIndex) : undefined}
+        autoComplete="off"
+        placeholder="Search items by name..."
+        value={value}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onBlur={close}
+        className="pl-4 text-black flex items-center justify-center focus:outline-none border border-gray-300 p-2 rounded-md w-full placeholder:text-gray-400 placeholder:text-[14px] "
+      />
+      <ul
+        id={LISTBOX_ID}
+        role="listbox"
+        aria-label="Search suggestions"
+        hidden={!expanded}
+        className="absolute z-10 mt-1 w-full rounded-md border border-gray-300 bg-white text-black text-[14px] shadow"
+      >
+        {expanded &&
+          completions.map((completion, index) => (
+            <li
+              key={completion}
+              id={optionId(index)}
+              role="option"
+              aria-selected={index === activeIndex}
+              // mousedown fires before the input's blur, which would close the list first
+              onMouseDown={(e) => {
+                e.preventDefault();
+                select(completion);
+              }}
+              onMouseEnter={() => setActiveIndex(index)}
+              className={`px-4 py-2 cursor-pointer ${index === activeIndex ? "bg-stone-200" : ""}`}
+            >
+              {completion}
+            </li>
+          ))}
+      </ul>
+    </div>
+  );
+};
+
+export default SearchBox;
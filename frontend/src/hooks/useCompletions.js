@@ -0,0 +1,39 @@
+import { useEffect, useState } from "react";
+
+// Name completions for a search box, from GET /api/items/suggest.
+// Requests wait for a short pause in typing, and a newer query aborts the previous
+// request, so only completions for the latest query are shown. Completions are a
+// convenience: a failed request just leaves the list empty.
+export function useCompletions(query, { delay = 150, limit = 5 } = {}) {
+  const [completions, setCompletions] = useState([]);
+
+  useEffect(() => {
+    if (!query || query.trim() === "") {
+      setCompletions([]);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    const handler = setTimeout(async () => {
+      try {
+        const params = new URLSearchParams({ q: query, limit });
+        const response = await fetch(
+          `http://localhost:3001/api/items/suggest?${params.toString()}`,
+          { signal: controller.signal }
+        );
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        const data = await response.json();
+        setCompletions(data.completions || []);
+      } catch (err) {
+        if (!controller.signal.aborted) setCompletions([]);
+      }
+    }, delay);
+
+    return () => {
+      clearTimeout(handler);
+      controller.abort();
+    };
+  }, [query, delay, limit]);
+
+  return completions;
+}
@@ -1,9 +1,13 @@
 import React, { useEffect, useState } from "react";
-import { useParams } from "react-router-dom";
+import { useParams, useSearchParams } from "react-router-dom";
 import Spinner from "../components/spinner";
+import Highlight, { rangesFor } from "../components/Highlight";
 
 function ItemDetail() {
   const { id } = useParams();
+  // Set when the page was opened from search results; matches are then highlighted.
+  const [searchParams] = useSearchParams();
+  const q = searchParams.get("q");
   const [item, setItem] = useState(null);
 
   const [loading, setLoading] = useState(false);
@@ -14,7 +18,8 @@ function ItemDetail() {
     // Define the async function that performs the fetch
     const fetchItem = async () => {
       try {
-        const res = await fetch("http://localhost:3001/api/items/" + id);
+        const query = q ? `?q=${encodeURIComponent(q)}&highlight=true` : "";
+        const res = await fetch("http://localhost:3001/api/items/" + id + query);
         if (!res.ok) {
           throw new Error(`HTTP error! status: ${res.status}`);
         }
@@ -36,11 +41,11 @@ function ItemDetail() {
 
     // --- Cleanup function for useEffect ---
     // This will clear the timeout if the component unmounts or
-    // if `id`  changes before the 500ms delay finishes.
+    // if `id` or `q` changes before the 500ms delay finishes.
     return () => {
       clearTimeout(handler);
     };
-  }, [id]);
+  }, [id, q]);
 
   // if (!item) return <p>Loading...</p>;
 
@@ -68,10 +73,19 @@ function ItemDetail() {
         <p>No item with ID {id} found.</p>
       ) : (
         <>
-          <h2>{item?.name}</h2>
+          <h2>
+            <Highlight text={item.name} ranges={rangesFor(item, "name")} />
+          </h2>
           <p>
-            <strong>Category:</strong> {item?.category}
+            <strong>Category:</strong>{" "}
+            <Highlight text={item.category} ranges={rangesFor(item, "category")} />
           </p>
+          {item.description && (
+            <p>
+              <strong>Description:</strong>{" "}
+              <Highlight text={item.description} ranges={rangesFor(item, "description")} />
+            </p>
+          )}
           <p>
             <strong>Price:</strong> ${item?.price}
           </p>
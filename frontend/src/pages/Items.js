@@ -5,6 +5,8 @@ import { useMounted } from "../hooks/useMounted"; // Custom hook to track compon
 import { FixedSizeList } from "react-window"; // Library for efficient list virtualization
 import Spinner from "../components/spinner"; // UI component for loading indication
 import Error from "../components/Error"; // UI component for error display and retry
+import Highlight, { rangesFor } from "../components/Highlight"; // Emphasises search matches
+import SearchBox from "../components/SearchBox"; // Search input with name autocompletion
 
 // --- Row Component for FixedSizeList ---
 // This component will be rendered for each item by react-window
@@ -18,17 +20,23 @@ const Row = ({ index, style, data }) => {
   // which might happen during initial load or empty search results.
   if (!item) return null;
 
+  // The search query travels to the detail page, so it can highlight the same matches.
+  const detailUrl =
+    "/items/" + item.id + (data.query ? "?q=" + encodeURIComponent(data.query) : "");
+
   return (
     <div className="mb-6 hover:text-blue-500 ">
       {" "}
-      <Link to={"/items/" + item.id}>{item.name}</Link>
+      <Link to={detailUrl}>
+        <Highlight text={item.name} ranges={rangesFor(item, "name")} />
+      </Link>
     </div>
   );
 };
 
 function Items() {
   // Destructure state and actions from the global data context.
-  const { items, loading, error, paginationInfo, fetchItems } = useData();
+  const { items, loading, error, paginationInfo, suggestions, fetchItems } = useData();
 
   // --- Virtualization Dimensions ---
   const listHeight = 400;
@@ -103,6 +111,13 @@ function Items() {
     // This prevents showing an empty page if the user was on a high page number with previous results.
   };
 
+  // "Did you mean ...?" and autocomplete picks: search for the chosen query straight away (no debounce).
+  const handleSuggestionClick = (suggestion) => {
+    setSearchQuery(suggestion);
+    setDebouncedSearchQuery(suggestion);
+    setCurrentPage(1);
+  };
+
   if (error) {
     return (
       <Error
@@ -130,19 +145,35 @@ function Items() {
         </div>{" "}
       </div>
 
-      {/* Search Input */}
+      {/* Search Input, with a dropdown of matching item names */}
       <div className="w-[100%] mt-4">
-        <input
-          aria-label="Search items by name"
-          id="search-input"
-          type="text"
-          placeholder="Search items by name..."
+        <SearchBox
           value={searchQuery}
           onChange={handleSearchChange}
-          className="pl-4 text-black flex items-center justify-center focus:outline-none border border-gray-300 p-2 rounded-md w-full placeholder:text-gray-400 placeholder:text-[14px] "
+          onSelect={handleSuggestionClick}
         />
       </div>
 
+      {/* Search suggestions for misspelled queries with few or no results */}
+      {!loading && suggestions.length > 0 && (
+        <p className="mt-2 text-[14px]">
+          Did you mean{" "}
+          {suggestions.map((suggestion, index) => (
+            <React.Fragment key={suggestion}>
+              {index > 0 && ", "}
+              <button
+                type="button"
+                className="underline hover:text-blue-500"
+                onClick={() => handleSuggestionClick(suggestion)}
+              >
+                {suggestion}
+              </button>
+            </React.Fragment>
+          ))}
+          ?
+        </p>
+      )}
+
       <section
         id="items-list-container"
         aria-atomic="true"
@@ -166,7 +197,7 @@ function Items() {
             width={listWidth}
             itemCount={items.length}
             itemSize={itemHeight}
-            itemData={{ items: items }}
+            itemData={{ items: items, query: debouncedSearchQuery }}
             children={Row}
           />
         )}
@@ -12,6 +12,8 @@ export function DataProvider({ children }) {
   const [items, setItems] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  // "Did you mean" corrections the API returns for searches with few results
+  const [suggestions, setSuggestions] = useState([]);
   const [paginationInfo, setPaginationInfo] = useState({
     currentPage: 1,
     itemsPerPage: 2,
@@ -34,7 +36,11 @@ export function DataProvider({ children }) {
         const params = new URLSearchParams();
         if (page) params.append("page", page);
         if (limit) params.append("limit", limit);
-        if (q) params.append("q", q);
+        params.append("fields", "id,name"); // All the list renders
+        if (q) {
+          params.append("q", q);
+          params.append("highlight", "true"); // Match ranges, so rows can emphasise them
+        }
   
         const queryString = params.toString();
         const url = `http://localhost:3001/api/items${
@@ -60,6 +66,7 @@ export function DataProvider({ children }) {
        
   
         setItems(data.items); // Update items state with the paginated data
+        setSuggestions(data.suggestions || []); // Only present for searches
         setPaginationInfo({
           // Update pagination metadata
           currentPage: data.currentPage,
@@ -73,6 +80,7 @@ export function DataProvider({ children }) {
         console.error("Failed to fetch items:", err);
         setError(err);
         setItems([]); // Clear items on error
+        setSuggestions([]);
         setPaginationInfo({
           // Reset pagination on error
           currentPage: 1,
@@ -93,6 +101,7 @@ export function DataProvider({ children }) {
     loading,
     error,
     paginationInfo,
+    suggestions,
     fetchItems,
   };
 
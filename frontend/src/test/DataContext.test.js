@@ -105,7 +105,7 @@ describe("DataProvider and useData Hook", () => {
 
     // Verify the URL was called correctly
     expect(fetch).toHaveBeenCalledWith(
-      "http://localhost:3001/api/items?page=1&limit=2&q=initial"
+      "http://localhost:3001/api/items?page=1&limit=2&fields=id%2Cname&q=initial&highlight=true"
     );
   });
 
@@ -250,7 +250,7 @@ describe("DataProvider and useData Hook", () => {
       );
     });
     expect(fetch).toHaveBeenCalledWith(
-      "http://localhost:3001/api/items?page=1&limit=2&q=initial"
+      "http://localhost:3001/api/items?page=1&limit=2&fields=id%2Cname&q=initial&highlight=true"
     );
     expect(fetch).toHaveBeenCalledTimes(1);
 
@@ -274,7 +274,7 @@ describe("DataProvider and useData Hook", () => {
       );
     });
     expect(fetch).toHaveBeenCalledWith(
-      "http://localhost:3001/api/items?page=2&limit=2&q=second-page"
+      "http://localhost:3001/api/items?page=2&limit=2&fields=id%2Cname&q=second-page&highlight=true"
     );
     expect(fetch).toHaveBeenCalledTimes(2);
 
@@ -298,7 +298,7 @@ describe("DataProvider and useData Hook", () => {
       );
     });
     expect(fetch).toHaveBeenCalledWith(
-      "http://localhost:3001/api/items?page=1&limit=2&q=search-term"
+      "http://localhost:3001/api/items?page=1&limit=2&fields=id%2Cname&q=search-term&highlight=true"
     );
     expect(fetch).toHaveBeenCalledTimes(3);
   });
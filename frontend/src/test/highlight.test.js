@@ -0,0 +1,56 @@
+import React from "react";
+import { render } from "@testing-library/react";
+import Highlight, { rangesFor } from "../components/Highlight";
+
+describe("Highlight Component", () => {
+  test("wraps each matched range in a <mark>", () => {
+    const { container } = render(
+      <Highlight
+        text="Noise Cancelling Headphones"
+        ranges={[
+          { start: 17, end: 27 },
+          { start: 0, end: 5 },
+        ]}
+      />
+    );
+
+    expect(Array.from(container.querySelectorAll("mark"), (mark) => mark.textContent)).toEqual([
+      "Noise",
+      "Headphones",
+    ]);
+    expect(container).toHaveTextContent("Noise Cancelling Headphones");
+  });
+
+  test("merges overlapping ranges", () => {
+    const { container } = render(
+      <Highlight
+        text="Laptop"
+        ranges={[
+          { start: 0, end: 3 },
+          { start: 2, end: 6 },
+        ]}
+      />
+    );
+
+    expect(container.querySelectorAll("mark")).toHaveLength(1);
+    expect(container.querySelector("mark")).toHaveTextContent("Laptop");
+  });
+
+  test("renders plain text without ranges", () => {
+    const { container } = render(<Highlight text="Desk" />);
+
+    expect(container.innerHTML).toEqual("Desk");
+  });
+
+  test("rangesFor picks the ranges of one field", () => {
+    const item = {
+      highlights: [
+        { field: "name", start: 0, end: 3 },
+        { field: "description", start: 4, end: 8 },
+      ],
+    };
+
+    expect(rangesFor(item, "name")).toEqual([{ field: "name", start: 0, end: 3 }]);
+    expect(rangesFor({}, "name")).toEqual([]);
+  });
+});
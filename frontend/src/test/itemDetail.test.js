@@ -7,6 +7,7 @@ import ItemDetail from "../pages/ItemDetail"; // Adjust the import path as neede
 
 jest.mock("react-router-dom", () => ({
   useParams: jest.fn(),
+  useSearchParams: jest.fn(),
 }));
 
 jest.mock("../components/spinner", () => {
@@ -27,12 +28,13 @@ describe("ItemDetail Component", () => {
     category: "Electronics",
   };
 
-  const { useParams } = require("react-router-dom"); // Get the mocked useParams
+  const { useParams, useSearchParams } = require("react-router-dom"); // Get the mocked hooks
   let consoleErrorSpy; // To suppress console.error during tests
 
   beforeEach(() => {
     jest.clearAllMocks();
     jest.useFakeTimers(); // Enable Jest's fake timers
+    useSearchParams.mockImplementation(() => [new URLSearchParams()]); // No search query by default
     consoleErrorSpy = jest.spyOn(console, "error").mockImplementation(() => {});
   });
 
@@ -140,6 +142,35 @@ describe("ItemDetail Component", () => {
     ).toBeInTheDocument();
   });
 
+  test("should request and emphasise search matches when opened with a query", async () => {
+    useParams.mockReturnValue({ id: mockItem.id });
+    useSearchParams.mockImplementation(() => [new URLSearchParams("q=gadg")]);
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      json: () =>
+        Promise.resolve({
+          ...mockItem,
+          description: "A gadget for everything",
+          highlights: [
+            { field: "name", start: 6, end: 10 },
+            { field: "description", start: 2, end: 6 },
+          ],
+        }),
+    });
+
+    render(<ItemDetail />);
+    await act(async () => {
+      jest.advanceTimersByTime(500);
+      await Promise.resolve();
+    });
+
+    expect(fetch).toHaveBeenCalledWith(
+      `http://localhost:3001/api/items/${mockItem.id}?q=gadg&highlight=true`
+    );
+    const marks = Array.from(document.querySelectorAll("mark"), (mark) => mark.textContent);
+    expect(marks).toEqual(["Gadg", "gadg"]);
+  });
+
   test("should clear timeout on component unmount before fetch fires", async () => {
     const clearTimeoutSpy = jest.spyOn(global, "clearTimeout");
     useParams.mockReturnValue({ id: "cleanup-id" });
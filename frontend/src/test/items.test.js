@@ -91,6 +91,7 @@ describe("Items Component", () => {
       hasNextPage: false,
       hasPreviousPage: false,
     };
+    mockUseData.suggestions = [];
     // Mock fetchItems to resolve by default
     mockUseData.fetchItems = jest.fn().mockResolvedValue(undefined);
   });
@@ -276,5 +277,58 @@ describe("Items Component", () => {
     expect(searchInput).toHaveValue("test query");
   });
 
+  test("should offer search suggestions and search for the one clicked", async () => {
+    mockUseData.suggestions = ["headphones", "headphone stand"];
+
+    renderComponent();
+
+    expect(screen.getByText(/Did you mean/)).toBeInTheDocument();
+    fireEvent.click(screen.getByRole("button", { name: "headphone stand" }));
+
+    // The suggestion replaces the query and is fetched without waiting for the debounce
+    expect(screen.getByPlaceholderText("Search items by name...")).toHaveValue("headphone stand");
+    await waitFor(() => {
+      expect(mockUseData.fetchItems).toHaveBeenCalledWith(1, 2, "headphone stand");
+    });
+  });
+
+  test("should search for an autocomplete pick without waiting for the debounce", async () => {
+    fetch.mockResponseOnce(JSON.stringify({ q: "mon", completions: ["Monitor"] }));
+
+    renderComponent();
+    fireEvent.change(screen.getByRole("combobox"), { target: { value: "mon" } });
+    fireEvent.mouseDown(await screen.findByRole("option", { name: "Monitor" }));
+
+    expect(screen.getByRole("combobox")).toHaveValue("Monitor");
+    await waitFor(() => {
+      expect(mockUseData.fetchItems).toHaveBeenCalledWith(1, 2, "Monitor");
+    });
+  });
+
+  test("should emphasise the highlighted part of item names and link with the query", async () => {
+    mockUseData.items = [
+      { id: 4, name: "Monitor", highlights: [{ field: "name", start: 0, end: 3 }] },
+    ];
+
+    renderComponent();
+    fireEvent.change(screen.getByPlaceholderText("Search items by name..."), {
+      target: { value: "mon" },
+    });
+
+    expect(screen.getByText("Mon").tagName).toEqual("MARK");
+    await waitFor(() => {
+      expect(screen.getByRole("link")).toHaveAttribute("href", "/items/4?q=mon");
+    });
+  });
+
+  test("should not show suggestions while loading", () => {
+    mockUseData.loading = true;
+    mockUseData.suggestions = ["headphones"];
+
+    renderComponent();
+
+    expect(screen.queryByText(/Did you mean/)).not.toBeInTheDocument();
+  });
+
 
 });
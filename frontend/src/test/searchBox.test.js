@@ -0,0 +1,100 @@
+import React, { useState } from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import SearchBox from "../components/SearchBox";
+
+import "jest-fetch-mock";
+
+describe("SearchBox Component", () => {
+  let onSelect;
+
+  // Controlled like on the Items page
+  function TestSearch() {
+    const [value, setValue] = useState("");
+    return (
+      <SearchBox
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        onSelect={(completion) => {
+          setValue(completion);
+          onSelect(completion);
+        }}
+      />
+    );
+  }
+
+  const typeQuery = async (text) => {
+    const input = screen.getByRole("combobox");
+    fireEvent.change(input, { target: { value: text } });
+    await screen.findAllByRole("option");
+    return input;
+  };
+
+  beforeEach(() => {
+    fetch.resetMocks();
+    fetch.mockResponse(JSON.stringify({ q: "lap", completions: ["Laptop", "Laptop Stand"] }));
+    onSelect = jest.fn();
+  });
+
+  test("lists completions for the typed query", async () => {
+    render(<TestSearch />);
+    const input = await typeQuery("lap");
+
+    expect(fetch).toHaveBeenCalledWith(
+      "http://localhost:3001/api/items/suggest?q=lap&limit=5",
+      expect.objectContaining({ signal: expect.anything() })
+    );
+    expect(input).toHaveAttribute("aria-expanded", "true");
+    expect(screen.getAllByRole("option").map((option) => option.textContent)).toEqual([
+      "Laptop",
+      "Laptop Stand",
+    ]);
+  });
+
+  test("moves through options with the arrow keys and picks one with Enter", async () => {
+    render(<TestSearch />);
+    const input = await typeQuery("lap");
+
+    fireEvent.keyDown(input, { key: "ArrowDown" });
+    fireEvent.keyDown(input, { key: "ArrowDown" });
+    expect(input).toHaveAttribute("aria-activedescendant", "search-completion-1");
+    expect(screen.getAllByRole("option")[1]).toHaveAttribute("aria-selected", "true");
+
+    fireEvent.keyDown(input, { key: "ArrowUp" });
+    expect(input).toHaveAttribute("aria-activedescendant", "search-completion-0");
+
+    fireEvent.keyDown(input, { key: "Enter" });
+    expect(onSelect).toHaveBeenCalledWith("Laptop");
+    expect(input).toHaveValue("Laptop");
+    expect(input).toHaveAttribute("aria-expanded", "false");
+  });
+
+  test("closes the list with Escape", async () => {
+    render(<TestSearch />);
+    const input = await typeQuery("lap");
+
+    fireEvent.keyDown(input, { key: "Escape" });
+
+    expect(input).toHaveAttribute("aria-expanded", "false");
+    expect(screen.queryByRole("option")).not.toBeInTheDocument();
+    expect(onSelect).not.toHaveBeenCalled();
+  });
+
+  test("picks a completion on click", async () => {
+    render(<TestSearch />);
+    await typeQuery("lap");
+
+    fireEvent.mouseDown(screen.getByRole("option", { name: "Laptop Stand" }));
+
+    expect(onSelect).toHaveBeenCalledWith("Laptop Stand");
+  });
+
+  test("shows nothing when the request fails", async () => {
+    fetch.mockReject(new Error("Network down"));
+    render(<TestSearch />);
+
+    fireEvent.change(screen.getByRole("combobox"), { target: { value: "lap" } });
+
+    await waitFor(() => expect(fetch).toHaveBeenCalled());
+    expect(screen.getByRole("combobox")).toHaveAttribute("aria-expanded", "false");
+  });
+});